@@ -1,3 +1,20 @@
+const createEmitter = require('./emitter');
+const schema = require('./schema');
+const serializable = require('./serializable');
+const { ROLLBACK } = require('./transaction');
+const { getBranchPath } = require('./tree');
+
+var ARGS_CONFLICT_MODES = ['warn', 'fail', 'ignore'];
+
+var SERIALIZE_CHECK_MODES = ['fail', 'warn', 'ignore'];
+
+// Items of signal definition created by appstate, like sub-signals, keep their type under this key
+var DEFINITION_TYPE = Symbol('appstate.definitionType');
+
+var ERROR_ROUTING_MODES = ['output', 'fail'];
+
+var ACTION_OPTIONS = ['$timeout', '$retry'];
+
 module.exports = {
   /**
    * Signal factory. Create signal functions with deep analyzed structure.
@@ -11,528 +28,2497 @@ module.exports = {
    *      asyncAction,
    *      {
    *        success: [successSyncAction],
-   *        error: [errorSyncAction]
+   *        error: [errorSyncAction],
+   *        timeout: [timeoutSyncAction],
+   *        $timeout: 5000 // options of the action are prefixed with "$"
    *      }
    *    ]
    *  ];
    *
-   *  const signal = appstate.create(actions);
+   *  const signal = appstate.create(actions, { name: 'login' });
    *  const store = createReduxStore(reducer);
    *
    *  // You can run signal as function that return Promise with results
    *  signal(store);
    *
+   *  // Or get handle of the run with promise, run id and live status
+   *  const handle = signal.run(store);
+   *
    * That have 1 args with properties: signalArgs, getState, output, dispatch, services.
    * All args passed automatically when you run signal.
    *
+   * Signal is analyzed and compiled to immutable static tree once, the tree is shared by all runs.
+   * Meta information of every run is stored separately in `signal.executions`.
+   *
+   * Runs can be observed with `signal.on(type, listener)`, event types are
+   * signalStart, actionStart, actionDispatch, actionOutput, actionEnd, signalEnd and signalError.
+   * Listener of actionStart event can cancel the run before the action is called.
+   *
    * @param {Array} actions
+   * @param {Object} [options]
+   * @param {String} [options.name] signal name, exposed in execution tree and errors
+   * @param {Function} [options.logWarning] called with every warning of signal definition and run
+   * @param {Boolean} [options.annotate] add signal name, run id and action path to `meta.appstate`
+   *                                     of dispatched redux actions
+   * @param {String} [options.argsConflict] "warn" (default), "fail" or "ignore" when parallel actions
+   *                                        write the same key of args
+   * @param {Object} [options.args] schema of initial signal args, used by static check of action schemas
+   * @param {Function} [options.validateSchema] hook to check external schemas, (schema, value) => problems
+   * @param {String} [options.serializeCheck] "fail" (default), "warn" or "ignore" when initial args
+   *                                          or output args can not be serialized to JSON
+   * @param {Boolean} [options.transaction] restore redux state from signal start if signal fails
+   * @param {String} [options.errorRouting] "output" (default) routes errors of actions to their "error" output,
+   *                                        "fail" fails the signal
+   * @param {Array} [options.catch] actions to run on unhandled error before signal rejects
    * @return {Function}
    */
-  create (actions) {
-    analyze(actions);
-
-    return (store, services = {}, args = {}, asyncActionResults = []) => {
-      return new Promise((resolve, reject) => {
-        var promise = { resolve, reject };
-        var start = Date.now();
-
-        checkArgs(args, promise);
-        // Transform signal definition to flatten array
-        var tree = staticTree(actions);
-
-        // Create signal definition
-        var signal = {
-          args,
-          asyncActionResults,
-          branches: tree.branches,
-          isExecuting: true,
-          duration: 0
+  create (actions, options = {}) {
+    var name = options.name || null;
+    var logWarning = options.logWarning || noop;
+    var annotate = !!options.annotate;
+    var argsConflict = options.argsConflict || 'warn';
+    var validateSchema = options.validateSchema || null;
+    var serializeCheck = options.serializeCheck || 'fail';
+    var isTransaction = !!options.transaction;
+    var errorRouting = options.errorRouting || 'output';
+
+    if (ARGS_CONFLICT_MODES.indexOf(argsConflict) === -1) {
+      throw new Error(`State: Unknown argsConflict mode "${argsConflict}", expected "${ARGS_CONFLICT_MODES.join('", "')}"`);
+    }
+
+    if (SERIALIZE_CHECK_MODES.indexOf(serializeCheck) === -1) {
+      throw new Error(`State: Unknown serializeCheck mode "${serializeCheck}", expected "${SERIALIZE_CHECK_MODES.join('", "')}"`);
+    }
+
+    if (ERROR_ROUTING_MODES.indexOf(errorRouting) === -1) {
+      throw new Error(`State: Unknown errorRouting mode "${errorRouting}", expected "${ERROR_ROUTING_MODES.join('", "')}"`);
+    }
+
+    assertValid(actions, name, logWarning, options);
+
+    // Transform signal definition to flatten array
+    var tree = staticTree(actions, options.catch);
+    var emitter = createEmitter((e, event) => {
+      logWarning({
+        message: `State: Listener of "${event.type}" event failed with "${e.message}"`,
+        name: event.name,
+        path: event.path
+      }, null);
+    });
+
+    /**
+     * Run signal and return handle of the run.
+     * Handle exposes signal promise, unique run id, live execution status
+     * and cancel method, that stops signal and resolve it as cancelled.
+     * @param {Redux} store
+     * @param {Object} [services]
+     * @param {Object} [args]
+     * @param {Array} [asyncActionResults]
+     * @param {Object} [options]
+     * @param {Boolean} [options.strict] fail signal if async action has no result in asyncActionResults,
+     *                                   instead of calling it
+     * @returns {{
+     *    id: Number, signal: Object, promise: Promise,
+     *    isExecuting: Boolean, path: Array|null, cancel: Function
+     *  }}
+     */
+    function run (store, services = {}, args = {}, asyncActionResults = [], options = {}) {
+      var controller = createAbortController();
+
+      // Create signal definition
+      var signal = {
+        id: createSignalId(),
+        name,
+        args,
+        asyncActionResults: [],
+        branches: tree.branches,
+        executions: {},
+        warnings: [],
+        isExecuting: true,
+        isCancelled: false,
+        cancelReason: null,
+        error: null,
+        isRolledBack: false,
+        currentPath: null,
+        start: now(),
+        end: null,
+        duration: 0
+      };
+
+      var context = {
+        tree,
+        args,
+        signal,
+        store,
+        services,
+        annotate,
+        argsConflict,
+        validateSchema,
+        serializeCheck,
+        errorRouting,
+        // Actions of catch branch keep running after unhandled error
+        isCatch: false,
+        // Args written by actions of parallel lane, null outside of parallel groups
+        writes: null,
+        // Results of async actions to replay instead of calling them
+        replayResults: asyncActionResults,
+        isStrictReplay: !!options.strict,
+        // Open transactions with redux state saved at their start, action is null for the whole signal
+        transactions: isTransaction ? [{ action: null, state: store.getState() }] : [],
+        promise: null,
+        abortSignal: controller.signal,
+        // Action is null for warnings of the whole signal
+        warn (message, action) {
+          var warning = { message, name: action ? action.name : null, path: action ? action.path : null };
+
+          signal.warnings.push(warning);
+          logWarning(warning, signal);
+        },
+        // Called as method of parallel lane run too, so event gets args of the lane
+        emit (type, action, data) {
+          if (emitter.hasListeners(type)) {
+            emitter.emit(type, createEvent(type, this, action, data));
+          }
+        }
+      };
+
+      // Only catch branch settles the signal while it runs, errors of stopped actions are ignored
+      var isCatching = false;
+
+      var signalPromise = new Promise((resolve, reject) => {
+        context.promise = {
+          resolve,
+          // Failed signal stops the same way as cancelled one, catch branch runs before it rejects
+          reject (e) {
+            if (!signal.isExecuting || isCatching) {
+              return;
+            }
+
+            var isCaught = !!signal.error;
+
+            stopExecutions(context, 'isFailed');
+            rollbackTransactions(context);
+            signal.error = serializeError(e);
+
+            if (!isCaught && tree.catchBranches.length) {
+              isCatching = true;
+
+              return runCatchBranch(e, context, (error) => {
+                isCatching = false;
+                context.promise.reject(error);
+              });
+            }
+
+            signal.isExecuting = false;
+            signal.currentPath = null;
+            finishTiming(signal);
+
+            context.emit('signalError', null, { error: signal.error, duration: signal.duration });
+            reject(tagError(e, name));
+          }
         };
 
+        context.emit('signalStart', null);
+
+        var argsError = getSerializeError(args, `Args of ${describeSignal(signal)} are not serializable`, null, context);
+
+        if (argsError) {
+          return context.promise.reject(argsError);
+        }
+
         // Start recursive run tree branches
-        runBranch(0, { tree, args, signal, promise, start, store, services });
+        runBranch(0, tree.branches, context);
       });
-    };
+
+      return createHandle(signal, signalPromise, (reason) => {
+        return cancelSignal(context, controller, reason);
+      });
+    }
+
+    function signal (store, services, args, asyncActionResults) {
+      return run(store, services, args, asyncActionResults).promise;
+    }
+
+    signal.run = run;
+    signal.signalName = name;
+    signal.branches = tree.branches;
+    signal.on = emitter.on;
+    signal.off = emitter.off;
+
+    return signal;
+  },
+
+  /**
+   * Validate signal definition without creating it.
+   * Every problem is described with severity, message, path in signal definition and action name.
+   *
+   * @example:
+   *  appstate.validate([noop, 42]);
+   *  // [{ severity: 'error', message: 'Action should be a function, got number', path: [1], action: null }]
+   *
+   * @param {Array} actions
+   * @param {Object} [options]
+   * @param {Object} [options.args] schema of initial signal args
+   * @param {Function} [options.validateSchema] hook to check external schemas
+   * @param {Array} [options.catch] actions to run on unhandled error
+   * @return {Array<{ severity: String, message: String, path: Array, action: String|null }>}
+   */
+  validate (actions, options = {}) {
+    return collectDiagnostics(actions, options);
+  },
+
+  /**
+   * Create sub-signal, sequence of actions reused as a unit with its own name.
+   * Sub-signal can be placed anywhere in a signal, its actions are sync or async
+   * by their own nesting, the same way as in a separate signal.
+   * It ends on output path of its last action, so outputs object after it routes the parent signal.
+   *
+   * @example:
+   *  const authorize = appstate.subSignal('authorize', [
+   *    checkToken,
+   *    [fetchUser, { success: [setUser], error: [] }],
+   *  ]);
+   *
+   *  appstate.create([
+   *    authorize, {
+   *      success: [showProfile], // fetchUser took "success" output
+   *      error: [showLogin],
+   *    },
+   *  ]);
+   *
+   * @param {String} name shown in execution tree and errors
+   * @param {Array} actions
+   * @returns {Object} sub-signal item of signal definition
+   */
+  subSignal (name, actions) {
+    return Object.freeze({ [DEFINITION_TYPE]: 'subSignal', name, actions });
+  },
+
+  /**
+   * Mark actions to run one by one.
+   * Actions of sequence are sync, it is the same as plain array in sync position
+   * and runs as a single lane inside of parallel group.
+   *
+   * @example:
+   *  appstate.create([
+   *    appstate.parallel([
+   *      fetchUser,
+   *      appstate.sequence([showSpinner, appstate.parallel([fetchSettings]), hideSpinner]),
+   *    ]),
+   *  ]);
+   *
+   * @param {Array} actions
+   * @returns {Object} sequence item of signal definition
+   */
+  sequence (actions) {
+    return Object.freeze({ [DEFINITION_TYPE]: 'sequence', actions });
+  },
+
+  /**
+   * Mark actions to run in parallel.
+   * Actions of parallel group are async, it is the same as plain array in sync position.
+   * Parallel group can be used as output branch too.
+   *
+   * @example:
+   *  appstate.create([
+   *    checkUser, {
+   *      valid: appstate.parallel([fetchUser, fetchSettings]),
+   *      invalid: [showError],
+   *    },
+   *  ]);
+   *
+   * @param {Array} actions
+   * @returns {Object} parallel item of signal definition
+   */
+  parallel (actions) {
+    return Object.freeze({ [DEFINITION_TYPE]: 'parallel', actions });
+  },
+
+  /**
+   * Create transaction block, redux state is restored from the block start if signal fails while it runs.
+   * Block runs as sub-signal with "transaction" name, so outputs object after it routes the signal.
+   * Root reducer should be enhanced with `transaction.withRollback`.
+   *
+   * @example:
+   *  appstate.create([
+   *    showSpinner,
+   *    appstate.transaction([addTodo, [saveTodo, { success: [], error: [failOnError] }]]),
+   *    hideSpinner,
+   *  ]);
+   *
+   * @param {Array} actions
+   * @returns {Object} sub-signal item of signal definition
+   */
+  transaction (actions) {
+    return Object.freeze({ [DEFINITION_TYPE]: 'subSignal', name: 'transaction', actions, isTransaction: true });
   }
 };
 
+var lastSignalId = 0;
+
+/**
+ * Generate unique id for every signal run
+ * @returns {Number}
+ */
+function createSignalId () {
+  lastSignalId += 1;
+  return lastSignalId;
+}
+
+/**
+ * Create handle of the signal run.
+ * Status properties are live and reflect current state of the run.
+ * @param {Object} signal
+ * @param {Promise} promise
+ * @param {Function} cancel
+ * @returns {Object}
+ */
+function createHandle (signal, promise, cancel) {
+  return {
+    id: signal.id,
+    signal,
+    promise,
+    cancel,
+    get isExecuting () {
+      return signal.isExecuting;
+    },
+    get path () {
+      return signal.currentPath;
+    }
+  };
+}
+
+/**
+ * Create event of signal run
+ * @param {String} type
+ * @param {Object} run
+ * @param {Object|null} action static tree branch
+ * @param {Object} [data]
+ * @returns {{
+ *    type: String, signalId: Number, signalName: String|null,
+ *    name: String|null, path: Array|null, args: Object, time: Number
+ *  }}
+ */
+function createEvent (type, run, action, data) {
+  return Object.assign({
+    type,
+    signalId: run.signal.id,
+    signalName: run.signal.name,
+    name: action ? action.name : null,
+    path: action ? action.path : null,
+    args: merge({}, run.args),
+    time: now()
+  }, data);
+}
+
+/**
+ * Current time in milliseconds with fractional part where high resolution timer is available
+ * @returns {Number}
+ */
+function now () {
+  if (typeof performance !== 'undefined' && performance.timeOrigin) {
+    return performance.timeOrigin + performance.now();
+  }
+
+  return Date.now();
+}
+
+/**
+ * Save end time and duration of signal, action or output branch
+ * @param {Object} timing
+ */
+function finishTiming (timing) {
+  timing.end = now();
+  timing.duration = timing.end - timing.start;
+}
+
+/**
+ * Cancel running signal.
+ * No more branches will be scheduled, in-flight actions get aborted
+ * signal and marked as cancelled, signal promise resolves with cancelled signal.
+ * @param {Object} run
+ * @param {Object} controller
+ * @param {*} [reason]
+ * @returns {Boolean} false if signal already finished
+ */
+function cancelSignal (run, controller, reason) {
+  var { signal, promise } = run;
+
+  if (!signal.isExecuting) {
+    return false;
+  }
+
+  stopExecutions(run, 'isCancelled');
+
+  signal.isExecuting = false;
+  signal.isCancelled = true;
+  signal.cancelReason = typeof reason === 'undefined' ? null : reason;
+  signal.currentPath = null;
+  finishTiming(signal);
+
+  controller.abort(reason);
+  run.emit('signalEnd', null, { isCancelled: true, duration: signal.duration });
+  promise.resolve(signal);
+
+  return true;
+}
+
+/**
+ * Stop executing actions and running output branches of cancelled or failed signal
+ * @param {Object} run
+ * @param {String} status "isCancelled" or "isFailed"
+ */
+function stopExecutions (run, status) {
+  var { signal, tree } = run;
+
+  Object.keys(signal.executions).forEach((key) => {
+    var execution = signal.executions[key];
+
+    if (execution.isExecuting) {
+      execution.isExecuting = false;
+      execution[status] = true;
+      finishTiming(execution);
+
+      run.emit('actionEnd', findBranch(tree.branches.concat(tree.catchBranches), key), {
+        isCancelled: execution.isCancelled,
+        isFailed: execution.isFailed,
+        outputPath: null,
+        duration: execution.duration
+      });
+    }
+
+    if (execution.outputBranch && execution.outputBranch.end === null) {
+      finishTiming(execution.outputBranch);
+    }
+  });
+}
+
+/**
+ * Find static tree branch by its key
+ * @param {Array} branches
+ * @param {String} key
+ * @returns {Object|undefined}
+ */
+function findBranch (branches, key) {
+  var found;
+
+  branches.some((branch) => {
+    if (Array.isArray(branch)) {
+      found = findBranch(branch, key);
+    } else if (branch.key === key) {
+      found = branch;
+    } else if (branch.isSubSignal && key.indexOf(`${branch.key}.actions.`) === 0) {
+      found = findBranch(branch.branches, key);
+    } else if (branch.outputs) {
+      branch.outputNames.some(output => !!(found = findBranch(branch.outputs[output], key)));
+    }
+
+    return !!found;
+  });
+
+  return found;
+}
+
+/**
+ * Create abort controller for signal run.
+ * Native AbortController used when it is available,
+ * so abort signal can be passed directly to fetch.
+ * @returns {{ signal: Object, abort: Function }}
+ */
+function createAbortController () {
+  if (typeof AbortController === 'function') {
+    return new AbortController();
+  }
+
+  var listeners = [];
+  var signal = {
+    aborted: false,
+    reason: null,
+    onabort: null,
+    addEventListener (type, listener) {
+      if (type === 'abort') {
+        listeners.push(listener);
+      }
+    },
+    removeEventListener (type, listener) {
+      if (listeners.indexOf(listener) !== -1) {
+        listeners.splice(listeners.indexOf(listener), 1);
+      }
+    }
+  };
+
+  return {
+    signal,
+    abort (reason) {
+      if (signal.aborted) {
+        return;
+      }
+
+      var event = { type: 'abort', target: signal };
+
+      signal.aborted = true;
+      signal.reason = reason;
+
+      if (signal.onabort) {
+        signal.onabort(event);
+      }
+
+      listeners.forEach(listener => listener(event));
+    }
+  };
+}
+
+/**
+ * Add signal name to error, so it can be found which signal failed
+ * @param {*} error
+ * @param {String|null} name
+ * @returns {*}
+ */
+function tagError (error, name) {
+  if (name && error instanceof Error && !error.signalName) {
+    error.signalName = name;
+  }
+
+  return error;
+}
+
+/**
+ * Check that branches of the run should keep running.
+ * After unhandled error only actions of catch branch run, other actions are stopped.
+ * @param {Object} run
+ * @returns {Boolean}
+ */
+function isRunning (run) {
+  return run.signal.isExecuting && (!run.signal.error || run.isCatch);
+}
+
+/**
+ * Run catch branch of failed signal with serialized error in args, then reject the signal.
+ * Error of catch branch rejects the signal instead.
+ * @param {*} error
+ * @param {Object} run
+ * @param {Function} settle rejects the signal, the only way to do it while catch branch runs
+ * @returns {Promise|undefined}
+ */
+function runCatchBranch (error, run, settle) {
+  var catchRun = Object.assign({}, run, {
+    writes: null,
+    isCatch: true,
+    promise: { resolve: run.promise.resolve, reject: settle }
+  });
+  var reject = () => settle(error);
+
+  assignArgs(catchRun, { error: run.signal.error });
+
+  var runResult = runBranch(0, run.tree.catchBranches, catchRun);
+
+  return runResult && runResult.then ? runResult.then(reject) : reject();
+}
+
 /**
  * Run tree branch, or resolve signal
  * if no more branches in recursion.
  * @param {Number} index
- * @param {Object} options
- * @param {Object} options.tree
- * @param {Object} options.args
- * @param {Object} options.signal
- * @param {Object} options.promise
- * @param {Date}   options.start
- * @param {Redux} options.store
- * @param {Object} options.services
+ * @param {Array} branches
+ * @param {Object} run
+ * @param {Object} run.tree
+ * @param {Object} run.args
+ * @param {Object} run.signal
+ * @param {Object} run.promise
+ * @param {Redux} run.store
+ * @param {Object} run.services
+ * @param {Object} run.abortSignal
+ * @param {Function} run.warn
+ * @param {Function} run.emit
+ */
+function runBranch (index, branches, run) {
+  var { tree, signal, promise } = run;
+  var currentBranch = branches[index];
+
+  // Cancelled or failed signal is already settled, stop scheduling branches
+  if (!isRunning(run)) {
+    return;
+  }
+
+  if (!currentBranch && branches === tree.branches) {
+    signal.isExecuting = false;
+    signal.currentPath = null;
+    finishTiming(signal);
+
+    run.emit('signalEnd', null, { isCancelled: false, duration: signal.duration });
+    promise.resolve(signal);
+
+    return;
+  }
+
+  if (!currentBranch) {
+    return;
+  }
+
+  if (Array.isArray(currentBranch)) {
+    return runAsyncBranch(index, branches, currentBranch, run);
+  } else if (currentBranch.isSubSignal) {
+    return runSubSignalBranch(index, branches, currentBranch, run);
+  } else {
+    return runSyncBranch(index, branches, currentBranch, run);
+  }
+}
+
+/**
+ * Run sub-signal in sync position and continue with next branch when all its actions are finished
+ * @param {Number} index
+ * @param {Array} branches
+ * @param {Object} currentBranch
+ * @param {Object} run
+ * @returns {Promise|undefined}
+ */
+function runSubSignalBranch (index, branches, currentBranch, run) {
+  var { promise } = run;
+
+  try {
+    var execution = startExecution(currentBranch, run);
+
+    // Signal is cancelled by listener of actionStart event
+    if (!isRunning(run)) {
+      return;
+    }
+
+    var result = runSubSignal(currentBranch, run);
+
+    if (isPromise(result)) {
+      return result
+        .then(result => continueSyncBranch(index, branches, currentBranch, execution, result, run))
+        .catch((e) => promise.reject(e));
+    }
+
+    return continueSyncBranch(index, branches, currentBranch, execution, result, run);
+  } catch (e) {
+    promise.reject(e);
+  }
+}
+
+/**
+ * Run actions of sub-signal
+ * @param {Object} action sub-signal branch of static tree
+ * @param {Object} run
+ * @returns {Promise|Object} result of sub-signal, promise if it has async actions
+ */
+function runSubSignal (action, run) {
+  var transaction = action.isTransaction ? openTransaction(action, run) : null;
+  var runResult = runBranch(0, action.branches, run);
+  var getResult = () => {
+    closeTransaction(transaction, run);
+    return { path: getSubSignalPath(action, run.signal) };
+  };
+
+  return runResult && runResult.then ? runResult.then(getResult) : getResult();
+}
+
+/**
+ * Save redux state at start of transaction block
+ * @param {Object} action transaction branch of static tree
+ * @param {Object} run
+ * @returns {{ action: Object, state: Object }}
+ */
+function openTransaction (action, run) {
+  var transaction = { action, state: run.store.getState() };
+
+  run.transactions.push(transaction);
+
+  return transaction;
+}
+
+/**
+ * Forget saved state of finished transaction block
+ * @param {Object|null} transaction
+ * @param {Object} run
+ */
+function closeTransaction (transaction, run) {
+  var index = run.transactions.indexOf(transaction);
+
+  if (index !== -1) {
+    run.transactions.splice(index, 1);
+  }
+}
+
+/**
+ * Restore redux state of failed signal from the first open transaction.
+ * State is restored by single ROLLBACK redux action, so other middlewares see it.
+ * Open transaction blocks are marked as rolled back in execution tree.
+ * Transactions are closed even without rollback, so changes of catch branch are kept.
+ * @param {Object} run
+ */
+function rollbackTransactions (run) {
+  var { signal, store, transactions } = run;
+  var first = transactions[0];
+  var closed = transactions.splice(0);
+
+  // Nothing is changed since the transaction start
+  if (!first || store.getState() === first.state) {
+    return;
+  }
+
+  closed.forEach((transaction) => {
+    if (transaction.action) {
+      signal.executions[transaction.action.key].isRolledBack = true;
+    }
+  });
+
+  signal.isRolledBack = true;
+
+  try {
+    store.dispatch({
+      type: ROLLBACK,
+      state: first.state,
+      meta: { appstate: { signal: signal.name, id: signal.id, path: first.action ? first.action.path : null } }
+    });
+  } catch (e) {
+    return run.warn(`State: Rollback of ${describeSignal(signal)} failed with "${e.message}"`, first.action);
+  }
+
+  if (store.getState() !== first.state) {
+    run.warn(
+      `State: Rollback of ${describeSignal(signal)} did not restore state, wrap root reducer with transaction.withRollback`,
+      first.action
+    );
+  }
+}
+
+/**
+ * Get output path sub-signal ends on.
+ * It is output path of its last action, for parallel group the path of last action in the group that took one.
+ * Path without branch in outputs object after sub-signal is not taken.
+ * @param {Object} action sub-signal branch of static tree
+ * @param {Object} signal
+ * @returns {String|null}
+ */
+function getSubSignalPath (action, signal) {
+  var last = action.branches[action.branches.length - 1];
+  var paths = (Array.isArray(last) ? last : [last])
+    .filter(branch => !Array.isArray(branch))
+    .map(branch => signal.executions[branch.key])
+    .filter(execution => execution && execution.outputPath)
+    .map(execution => execution.outputPath);
+  var path = paths.length ? paths[paths.length - 1] : null;
+
+  return action.outputNames.indexOf(path) === -1 ? null : path;
+}
+
+/**
+ * Run async branch.
+ * Every action of the group runs in its own lane with snapshot of args from before the group,
+ * so parallel actions and their output branches do not see outputs of each other.
+ * Sequence inside of the group runs its actions one by one in one lane.
+ * Args written by lanes are merged in declaration order after the whole group is finished.
+ * @param {Number} index
+ * @param {Array} branches
+ * @param {Array} currentBranch
+ * @param {Object} run
+ * @returns {Promise}
+ */
+function runAsyncBranch (index, branches, currentBranch, run) {
+  var { promise } = run;
+  var lanes = [];
+
+  var promises = currentBranch
+    .map(action => {
+      // Signal is cancelled by listener of actionStart event of previous action in the group
+      if (!isRunning(run)) {
+        return;
+      }
+
+      var lane = Object.assign({}, run, { args: merge({}, run.args), writes: {} });
+      lanes.push({ action: getFirstAction(action), writes: lane.writes });
+
+      if (Array.isArray(action)) {
+        return Promise.resolve(runBranch(0, action, lane));
+      }
+
+      var execution = startExecution(action, lane);
+
+      // Signal is cancelled by listener of actionStart event
+      if (!isRunning(lane)) {
+        return;
+      }
+
+      if (action.isSubSignal) {
+        return Promise.resolve(runSubSignal(action, lane))
+          .then(result => {
+            if (!isRunning(lane)) {
+              return;
+            }
+
+            finishExecution(action, execution, result, lane);
+
+            return runOutputBranch(action, execution, result, lane);
+          })
+          .catch((e) => promise.reject(e));
+      }
+
+      var inputError = getInputError(action, lane);
+
+      if (inputError) {
+        return promise.reject(inputError);
+      }
+
+      return runAsyncAction(action, execution, lane)
+        .then(result => {
+          // Outputs of cancelled or failed signal are ignored
+          if (!isRunning(lane)) {
+            return;
+          }
+
+          assignArgs(lane, result.args);
+          finishExecution(action, execution, result, lane);
+
+          return runOutputBranch(action, execution, result, lane);
+        })
+        .catch((e) => promise.reject(e));
+    });
+
+  return Promise.all(promises)
+    .then(() => {
+      if (!isRunning(run)) {
+        return;
+      }
+
+      try {
+        mergeLanes(lanes, getBranchPath(currentBranch), run);
+      } catch (e) {
+        return promise.reject(e);
+      }
+
+      return runBranch(index + 1, branches, run);
+    });
+}
+
+/**
+ * Merge args written by parallel lanes in declaration order.
+ * Key written by several lanes is reported according to argsConflict mode of the signal.
+ * @param {Array<{ action: Object, writes: Object }>} lanes
+ * @param {Array} path path of parallel group
+ * @param {Object} run
+ */
+function mergeLanes (lanes, path, run) {
+  var writers = {};
+
+  lanes.forEach((lane) => {
+    Object.keys(lane.writes).forEach((key) => {
+      if (writers.hasOwnProperty(key) && run.argsConflict !== 'ignore') {
+        var message = `State: Parallel actions "${writers[key].name}" and "${lane.action.name}" ` +
+          `at path ${JSON.stringify(path)} wrote the same key "${key}" of args`;
+
+        if (run.argsConflict === 'fail') {
+          throw new Error(message);
+        }
+
+        run.warn(message, lane.action);
+      }
+
+      writers[key] = lane.action;
+    });
+
+    assignArgs(run, lane.writes);
+  });
+}
+
+/**
+ * Get first action of static tree branch, for sequence inside of parallel group it is its first action
+ * @param {Object|Array} branch
+ * @returns {Object}
+ */
+function getFirstAction (branch) {
+  return Array.isArray(branch) ? getFirstAction(branch[0]) : branch;
+}
+
+/**
+ * Merge output args to args of the run.
+ * Inside of parallel lane written keys are saved to merge them after the group.
+ * @param {Object} run
+ * @param {Object} [args]
+ */
+function assignArgs (run, args) {
+  merge(run.args, args);
+
+  if (run.writes) {
+    merge(run.writes, args);
+  }
+}
+
+/**
+ * Run async action with its retry policy.
+ * Every attempt is saved to execution and to async action results,
+ * so replay of the signal goes thru the same attempts without delays.
+ * @param {Object} action
+ * @param {Object} execution
+ * @param {Object} run
+ * @returns {Promise}
+ */
+function runAsyncAction (action, execution, run) {
+  var policy = action.retry;
+
+  function attempt (number) {
+    // Signal is cancelled or failed before the attempt
+    if (!isRunning(run)) {
+      return Promise.resolve();
+    }
+
+    return runAsyncAttempt(action, execution, run, number)
+      .then(result => ({ result }), error => ({ error }))
+      .then((outcome) => {
+        // Outputs of cancelled or failed signal are ignored
+        if (!isRunning(run)) {
+          return outcome.result;
+        }
+
+        var isRetry = !!policy && number < policy.attempts && shouldRetry(policy, outcome, number);
+
+        saveAttempt(action, execution, run, number, outcome, isRetry);
+
+        if (!isRetry) {
+          if (outcome.error) {
+            throw outcome.error;
+          }
+
+          return outcome.result;
+        }
+
+        // Replayed attempts run without delays
+        var delay = findAsyncResult(run, action, number + 1) ? 0 : getRetryDelay(policy, number);
+
+        return wait(delay, run).then(() => attempt(number + 1));
+      });
+  }
+
+  return attempt(1);
+}
+
+/**
+ * Run one attempt of async action.
+ * Result is taken from async action results if signal runs in replay mode.
+ * @param {Object} action
+ * @param {Object} execution
+ * @param {Object} run
+ * @param {Number} attempt
+ * @returns {Promise}
+ */
+function runAsyncAttempt (action, execution, run, attempt) {
+  var { tree, args, store, services, abortSignal } = run;
+  var foundResult = findAsyncResult(run, action, attempt);
+
+  // If actions results provided, you run it in replay mode
+  if (foundResult) {
+    return foundResult.error ?
+      Promise.reject(restoreError(foundResult.error)) :
+      Promise.resolve(foundResult);
+  }
+
+  if (run.isStrictReplay) {
+    return Promise.reject(new Error(`State: ${describeAction(action, run.signal)} has no recorded result`));
+  }
+
+  var actionFunc = tree.actions[action.actionIndex];
+  var actionArgs = createActionArgs(args, store, true, action, run);
+  var next = createNextAsyncAction(actionFunc, action.outputNames, (result, isSettled) => {
+    return assertOutput(result, action, run, isSettled, false);
+  });
+  var returned;
+
+  try {
+    returned = actionFunc(Object.assign({}, actionArgs, {
+      output: next.fn,
+      services,
+      abortSignal
+    }));
+  } catch (e) {
+    return new Promise(resolve => resolve(getErrorResult(e, action, run, next.isSettled())));
+  }
+
+  // Promise returning and async actions are resolved with their result
+  if (isPromise(returned)) {
+    returned.then(
+      (value) => {
+        if (typeof value !== 'undefined' || !next.isSettled()) {
+          next.settle(getPromiseResult(value, actionFunc));
+        }
+      },
+      (error) => {
+        try {
+          next.settle(getErrorResult(error, action, run, false));
+        } catch (e) {
+          next.settle({ error: e });
+        }
+      }
+    ).catch((e) => {
+      run.warn(`State: ${describeAction(action, run.signal)} failed to settle with "${e.message}"`, action);
+    });
+  }
+
+  return action.timeout ?
+    addTimeout(next, action, execution, run) :
+    next.promise;
+}
+
+/**
+ * Find saved result of async action attempt.
+ * Results saved without attempt number are treated as first attempt.
+ * @param {Object} run
+ * @param {Object} action
+ * @param {Number} attempt
+ * @returns {Object|undefined}
+ */
+function findAsyncResult (run, action, attempt) {
+  return run.replayResults.find((result) => {
+    return isEqualArrays(result.outputPath, action.path) && (result.attempt || 1) === attempt;
+  });
+}
+
+/**
+ * Save attempt of async action to execution and async action results
+ * @param {Object} action
+ * @param {Object} execution
+ * @param {Object} run
+ * @param {Number} attempt
+ * @param {{ result: Object, error: Error }} outcome
+ * @param {Boolean} isRetry
+ */
+function saveAttempt (action, execution, run, attempt, outcome, isRetry) {
+  var snippet = outcome.error ?
+    { error: serializeError(outcome.error) } :
+    { path: outcome.result.path, args: outcome.result.args };
+
+  execution.attempts.push(Object.assign({ attempt, isRetry }, snippet));
+
+  // Save short results snippet for replay
+  run.signal.asyncActionResults.push(Object.assign({
+    outputPath: action.path,
+    attempt
+  }, snippet));
+}
+
+/**
+ * Check that attempt of async action should be retried.
+ * By default thrown errors, "error" and "timeout" outputs are retried.
+ * @param {Object} policy
+ * @param {{ result: Object, error: Error }} outcome
+ * @param {Number} attempt
+ * @returns {Boolean}
+ */
+function shouldRetry (policy, outcome, attempt) {
+  if (policy.retryOn) {
+    return !!policy.retryOn({
+      attempt,
+      error: outcome.error || null,
+      path: outcome.result ? outcome.result.path : null,
+      args: outcome.result ? outcome.result.args : null
+    });
+  }
+
+  return !!outcome.error || outcome.result.path === 'error' || outcome.result.path === 'timeout';
+}
+
+/**
+ * Get delay before next attempt
+ * @param {Object} policy
+ * @param {Number} attempt number of failed attempt
+ * @returns {Number}
+ */
+function getRetryDelay (policy, attempt) {
+  var delay = policy.backoff === 'exponential' ?
+    policy.delay * Math.pow(2, attempt - 1) :
+    policy.delay;
+
+  if (policy.maxDelay !== null) {
+    delay = Math.min(delay, policy.maxDelay);
+  }
+
+  if (policy.jitter) {
+    delay -= delay * policy.jitter * Math.random();
+  }
+
+  return Math.round(delay);
+}
+
+/**
+ * Wait before next step of signal run. Timer is cleared if signal is cancelled.
+ * @param {Number} delay
+ * @param {Object} run
+ * @returns {Promise}
+ */
+function wait (delay, run) {
+  return new Promise((resolve) => {
+    if (!delay) {
+      return resolve();
+    }
+
+    var timer = setTimeout(resolve, delay);
+    run.abortSignal.addEventListener('abort', () => clearTimeout(timer));
+  });
+}
+
+/**
+ * Limit execution time of async action.
+ * When time is over, action goes to "timeout" output if it is declared,
+ * otherwise signal rejects. Outputs called after timeout are ignored and reported as warnings.
+ * @param {Object} next
+ * @param {Object} action
+ * @param {Object} execution
+ * @param {Object} run
+ * @returns {Promise}
+ */
+function addTimeout (next, action, execution, run) {
+  var { signal, abortSignal, warn } = run;
+
+  return new Promise((resolve, reject) => {
+    var timer = setTimeout(() => {
+      execution.isTimedOut = true;
+
+      next.expire((result) => {
+        var output = result.path ? `output "${result.path}"` : 'output';
+        var message = result.error ?
+          `failed with "${result.error.message}" after timeout` :
+          `called ${output} after timeout`;
+
+        warn(`State: ${describeAction(action, signal)} ${message}`, action);
+      });
+
+      if (action.outputs && action.outputs.timeout) {
+        resolve({ path: 'timeout', args: {} });
+      } else {
+        reject(new Error(`State: ${describeAction(action, signal)} timed out after ${action.timeout}ms`));
+      }
+    }, action.timeout);
+
+    abortSignal.addEventListener('abort', () => clearTimeout(timer));
+
+    next.promise.then(
+      (result) => {
+        clearTimeout(timer);
+        resolve(result);
+      },
+      (error) => {
+        clearTimeout(timer);
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * Run sync branch
+ * @param {Number} index
+ * @param {Array} branches
+ * @param {Object} currentBranch
+ * @param {Object} run
+ * @returns {Promise|undefined}
+ */
+function runSyncBranch (index, branches, currentBranch, run) {
+  var { args, tree, store, promise, services, abortSignal } = run;
+
+  try {
+    var action = currentBranch;
+    var actionFunc = tree.actions[action.actionIndex];
+    var actionArgs = createActionArgs(args, store, false, action, run);
+    var execution = startExecution(action, run);
+
+    // Signal is cancelled by listener of actionStart event
+    if (!isRunning(run)) {
+      return;
+    }
+
+    var inputError = getInputError(action, run);
+
+    if (inputError) {
+      throw inputError;
+    }
+
+    var next = createNextSyncAction(actionFunc, action.outputNames, (result, isSettled) => {
+      return assertOutput(result, action, run, isSettled, true);
+    });
+    var returned;
+
+    try {
+      returned = actionFunc(Object.assign({}, actionArgs, {
+        output: next,
+        services,
+        abortSignal
+      }));
+    } catch (e) {
+      var errorResult = getErrorResult(e, action, run, !!next._result);
+
+      return continueSyncBranch(index, branches, action, execution, errorResult, run);
+    }
+
+    // Promise returning sync action holds the branch until it is resolved
+    if (isPromise(returned)) {
+      execution.isPromise = true;
+
+      return returned
+        .then(
+          (value) => {
+            if (typeof value === 'undefined') {
+              return getSyncResult(next, action, actionFunc, run);
+            }
+
+            var result = getPromiseResult(value, actionFunc);
+            assertOutput(result, action, run, !!next._result, true);
+
+            return result;
+          },
+          (error) => getErrorResult(error, action, run, false)
+        )
+        .then((result) => continueSyncBranch(index, branches, action, execution, result, run))
+        .catch((e) => promise.reject(e));
+    }
+
+    var result = getSyncResult(next, action, actionFunc, run);
+    return continueSyncBranch(index, branches, action, execution, result, run);
+  } catch (e) {
+    promise.reject(e);
+  }
+}
+
+/**
+ * Get result of finished sync action.
+ * Action that did not call output goes to default output.
+ * @param {Function} next
+ * @param {Object} action
+ * @param {Function} actionFunc
+ * @param {Object} run
+ * @returns {Object}
+ */
+function getSyncResult (next, action, actionFunc, run) {
+  if (next._result) {
+    return next._result;
+  }
+
+  var result = { path: actionFunc.defaultOutput };
+  assertOutput(result, action, run, false, true);
+
+  return result;
+}
+
+/**
+ * Save result of sync action and run its output branch and next branches
+ * @param {Number} index
+ * @param {Array} branches
+ * @param {Object} action
+ * @param {Object} execution
+ * @param {Object} result
+ * @param {Object} run
+ * @returns {Promise|undefined}
+ */
+function continueSyncBranch (index, branches, action, execution, result, run) {
+  // Outputs of cancelled or failed signal are ignored
+  if (!isRunning(run)) {
+    return;
+  }
+
+  assignArgs(run, result.args);
+  finishExecution(action, execution, result, run);
+
+  var runResult = runOutputBranch(action, execution, result, run);
+
+  if (runResult && runResult.then) {
+    return runResult.then(() => {
+      return runBranch(index + 1, branches, run);
+    });
+  }
+
+  return runBranch(index + 1, branches, run);
+}
+
+/**
+ * Run output branch of finished action and save its timing to execution.
+ * Output branch ends when all its actions, including async ones, are finished.
+ * @param {Object} action
+ * @param {Object} execution
+ * @param {Object} result
+ * @param {Object} run
+ * @returns {Promise|undefined}
+ */
+function runOutputBranch (action, execution, result, run) {
+  if (!result.path) {
+    return;
+  }
+
+  var outputBranch = { path: result.path, start: now(), end: null, duration: 0 };
+  execution.outputBranch = outputBranch;
+
+  var runResult = runBranch(0, action.outputs[result.path], run);
+
+  function finish () {
+    if (isRunning(run)) {
+      finishTiming(outputBranch);
+    }
+  }
+
+  if (runResult && runResult.then) {
+    return runResult.then(finish);
+  }
+
+  finish();
+}
+
+/**
+ * Create execution meta information of action for current signal run.
+ * Static tree is shared between runs, so all run time data lives here.
+ * @param {Object} action static tree branch
+ * @param {Object} run
+ * @returns {{
+ *    name: String, path: Array, isAsync: Boolean, isSubSignal: Boolean, args: {}, output: null, outputPath: null,
+ *    isExecuting: Boolean, hasExecuted: Boolean, isCancelled: Boolean, isFailed: Boolean, isTimedOut: Boolean,
+ *    isRolledBack: Boolean, attempts: Array, start: Number, end: Number|null, duration: Number, outputBranch: Object|null
+ *  }}
+ */
+function startExecution (action, run) {
+  var { signal, args } = run;
+  var execution = {
+    name: action.name,
+    path: action.path,
+    isAsync: action.isAsync,
+    isSubSignal: !!action.isSubSignal,
+    // Action returned promise, sync one is called on replay, because its result is not recorded
+    isPromise: false,
+    args: merge({}, args),
+    output: null,
+    outputPath: null,
+    isExecuting: true,
+    hasExecuted: false,
+    isCancelled: false,
+    isFailed: false,
+    isTimedOut: false,
+    isRolledBack: false,
+    attempts: [],
+    start: now(),
+    end: null,
+    duration: 0,
+    outputBranch: null
+  };
+
+  signal.executions[action.key] = execution;
+  signal.currentPath = action.path;
+
+  run.emit('actionStart', action);
+
+  return execution;
+}
+
+/**
+ * Save action result to execution meta information
+ * @param {Object} action static tree branch
+ * @param {Object} execution
+ * @param {Object} result
+ * @param {Object} run
+ */
+function finishExecution (action, execution, result, run) {
+  execution.isExecuting = false;
+  execution.hasExecuted = true;
+  execution.output = result.args;
+  finishTiming(execution);
+
+  if (result.path) {
+    execution.outputPath = result.path;
+  }
+
+  if (result.path || result.args) {
+    run.emit('actionOutput', action, { outputPath: execution.outputPath, output: merge({}, result.args) });
+  }
+
+  run.emit('actionEnd', action, {
+    isCancelled: false,
+    isFailed: false,
+    outputPath: execution.outputPath,
+    duration: execution.duration
+  });
+}
+
+/**
+ * Add output paths to next function.
+ *
+ * Outputs takes from branches tree object.
+ * @example:
+ *  var actions = [
+ *    syncAction,
+ *    [
+ *      asyncAction,
+ *      {
+ *        custom1: [custom1SyncAction],
+ *        custom2: [custom2SyncAction]
+ *      }
+ *    ]
+ *  ];
+ *
+ *  function asyncAction ({}, store, output) {
+ *    if ( ... ) {
+ *      output.custom1();
+ *    } else {
+ *      output.custom2();
+ *    }
+ *  }
+ *
+ * @param {Function} next
+ * @param {Array} outputs
+ * @returns {*}
+ */
+function addOutputs (next, outputs) {
+  if (Array.isArray(outputs)) {
+    outputs.forEach(key => {
+      next[key] = next.bind(null, key);
+    });
+  }
+
+  return next;
+}
+
+/**
+ * Create next function in signal chain.
+ * It's unified method for async and sync actions.
+ * @param {Function} action
+ * @param {Function} resolver
+ * @returns {Function}
+ */
+function createNextFunction (action, resolver) {
+  return function next (...args) {
+    var path = typeof args[0] === 'string' ? args[0] : null;
+    var arg = path ? args[1] : args[0];
+
+    var result = {
+      path: path ? path : action.defaultOutput,
+      args: arg
+    };
+
+    resolver(result);
+  };
+}
+
+/**
+ * Create next sync action
+ * @param {Function} actionFunc
+ * @param {Array} outputs
+ * @param {Function} validate returns false if output should be ignored
+ * @returns {Function}
+ */
+function createNextSyncAction (actionFunc, outputs, validate) {
+  var next = createNextFunction(actionFunc, (result) => {
+    if (validate(result, !!next._result)) {
+      next._result = result;
+    }
+  });
+  next = addOutputs(next, outputs);
+
+  return next;
+}
+
+/**
+ * Create next async action.
+ * After expire all outputs are passed to late listener instead of promise.
+ * @param {Function} actionFunc
+ * @param {Array} outputs
+ * @param {Function} validate returns false if output should be ignored
+ * @returns {{ fn: Function, promise: Promise, settle: Function, isSettled: Function, expire: Function }}
+ */
+function createNextAsyncAction (actionFunc, outputs, validate) {
+  var resolver = null;
+  var rejecter = null;
+  var lateListener = null;
+  var isSettled = false;
+  var promise = new Promise((resolve, reject) => {
+    resolver = resolve;
+    rejecter = reject;
+  });
+
+  function settle (result) {
+    if (lateListener) {
+      return lateListener(result);
+    }
+
+    if (!result.error && !validate(result, isSettled)) {
+      return;
+    }
+
+    if (isSettled) {
+      return;
+    }
+
+    isSettled = true;
+
+    if (result.error) {
+      rejecter(result.error);
+    } else {
+      resolver(result);
+    }
+  }
+
+  var fn = createNextFunction(actionFunc, settle);
+  addOutputs(fn, outputs);
+
+  return {
+    fn,
+    promise,
+    settle,
+    isSettled () {
+      return isSettled;
+    },
+    expire (listener) {
+      lateListener = listener;
+    }
+  };
+}
+
+/**
+ * Check that action output follows its outputs contract.
+ * Violation fails running signal, sync action is also stopped by thrown error.
+ * Output after signal finished is ignored and reported as warning, it can come from a timer or a promise,
+ * where thrown error would be unhandled.
+ * @param {Object} result
+ * @param {Object} action static tree branch
+ * @param {Object} run
+ * @param {Boolean} isSettled action already called output
+ * @param {Boolean} isSync
+ * @returns {Boolean} false if output should be ignored
+ */
+function assertOutput (result, action, run, isSettled, isSync) {
+  var { signal, promise } = run;
+
+  // Outputs of cancelled or failed signal are ignored
+  if (signal.isCancelled || (signal.error && !isRunning(run))) {
+    return false;
+  }
+
+  var error = getOutputError(result, action, run, isSettled) || getSerializeError(
+    result.args || {},
+    `${describeAction(action, signal)} called output${result.path ? ` "${result.path}"` : ''} with args that are not serializable`,
+    action,
+    run
+  );
+
+  if (!error) {
+    return true;
+  }
+
+  if (!signal.isExecuting) {
+    run.warn(error.message, action);
+    return false;
+  }
+
+  promise.reject(error);
+
+  if (isSync) {
+    throw error;
+  }
+
+  return false;
+}
+
+/**
+ * Get error of action output contract violation
+ * @param {Object} result
+ * @param {Object} action static tree branch
+ * @param {Object} run
+ * @param {Boolean} isSettled
+ * @returns {Error|null}
+ */
+function getOutputError (result, action, run, isSettled) {
+  var { signal } = run;
+  var description = `State: ${describeAction(action, signal)}`;
+  var declared = action.outputNames.length ?
+    `Declared outputs: ${action.outputNames.map(output => `"${output}"`).join(', ')}.` :
+    'Action has no declared outputs.';
+
+  if (!signal.isExecuting) {
+    return new Error(`${description} called output after signal finished.`);
+  }
+
+  if (isSettled) {
+    return new Error(`${description} called output more than once.`);
+  }
+
+  if (result.path && action.outputNames.indexOf(result.path) === -1) {
+    return new Error(`${description} called undeclared output "${result.path}". ${declared}`);
+  }
+
+  if (!result.path && isOutputRequired(action)) {
+    return new Error(`${description} finished without output path. ${declared}`);
+  }
+
+  var problems = checkSchemas(
+    schema.getOutputSchemas(run.tree.actions[action.actionIndex].provides, result.path),
+    result.args || {},
+    run
+  );
+
+  if (problems.length) {
+    var output = result.path ? ` "${result.path}"` : '';
+    return new Error(`${description} called output${output} with invalid args: ${problems.join(', ')}.`);
+  }
+
+  return null;
+}
+
+/**
+ * Get error of args that do not match requires schema of action
+ * @param {Object} action static tree branch
+ * @param {Object} run
+ * @returns {Error|null}
+ */
+function getInputError (action, run) {
+  if (action.isSubSignal) {
+    return null;
+  }
+
+  var requires = run.tree.actions[action.actionIndex].requires;
+  var problems = checkSchemas(requires ? [requires] : [], run.args, run);
+
+  if (!problems.length) {
+    return null;
+  }
+
+  return new Error(`State: ${describeAction(action, run.signal)} got invalid args: ${problems.join(', ')}.`);
+}
+
+/**
+ * Check value against list of schemas
+ * @param {Array<Object>} schemas
+ * @param {*} value
+ * @param {Object} run
+ * @returns {Array<String>} problems
+ */
+function checkSchemas (schemas, value, run) {
+  return schemas.reduce((problems, item) => {
+    return problems.concat(schema.check(item, value, run.validateSchema));
+  }, []);
+}
+
+/**
+ * Check that action should choose output path.
+ * Outputs object with only "error" and "timeout" outputs does not require it.
+ * @param {Object} action static tree branch
+ * @returns {Boolean}
+ */
+function isOutputRequired (action) {
+  return action.outputNames.some(output => output !== 'error' && output !== 'timeout');
+}
+
+/**
+ * Get action result from value resolved by promise returning action.
+ * Object with only "path" and "args" properties routes to output,
+ * any other value is used as output args.
+ * @param {*} value
+ * @param {Function} actionFunc
+ * @returns {{ path: String, args: Object }}
+ */
+function getPromiseResult (value, actionFunc) {
+  var isOutput = !!value &&
+    typeof value.path === 'string' &&
+    Object.keys(value).every(key => key === 'path' || key === 'args');
+
+  if (isOutput) {
+    return { path: value.path, args: value.args };
+  }
+
+  return { path: actionFunc.defaultOutput, args: value };
+}
+
+/**
+ * Get action result from thrown error or rejected promise.
+ * Error goes to "error" output if action declares it and signal routes errors to outputs,
+ * otherwise error is thrown. Errors of appstate checks are thrown after signal is already failed.
+ * @param {*} error
+ * @param {Object} action static tree branch
+ * @param {Object} run
+ * @param {Boolean} isSettled action already called output
+ * @returns {{ path: String, args: { error: Object } }}
+ */
+function getErrorResult (error, action, run, isSettled) {
+  var isRouted = run.errorRouting === 'output' && !isSettled && isRunning(run);
+
+  if (isRouted && action.outputs && action.outputs.error) {
+    return { path: 'error', args: { error: serializeError(error) } };
+  }
+
+  throw error;
+}
+
+/**
+ * Check that value is promise or thenable
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isPromise (value) {
+  return !!value && typeof value.then === 'function';
+}
+
+/**
+ * Create action arguments for every action.
+ * State object exposed as special patched collection of
+ * mutation/accessors functions of Redux store.
+ * @param {*} args
+ * @param {Object} store
+ * @param {Boolean} isAsync
+ * @param {Object} action static tree branch
+ * @param {Object} run
+ * @returns {Array}
+ */
+function createActionArgs (args, store, isAsync, action, run) {
+  return Object
+    .assign(
+      { args, outputNames: action.outputNames },
+      getStoreMethods(store, isAsync, action, run)
+    );
+}
+
+/**
+ * Get store mutators and accessors
+ * Each mutation will save in action descriptor.
+ * This method allow add ability
+ * to gather information about call every function.
+ * Dispatched actions are emitted as actionDispatch event and annotated with
+ * signal meta information if signal is created with `annotate` option.
+ * @param {Object} store
+ * @param {Boolean} isAsync
+ * @param {Object} action static tree branch
+ * @param {Object} run
+ * @return {Object}
+ */
+function getStoreMethods (store, isAsync, action, run) {
+  let methods = null;
+
+  if (isAsync) {
+    methods = {
+      getState: store.getState,
+    };
+  } else {
+    methods = {
+      getState: store.getState,
+      dispatch (reduxAction) {
+        if (
+          Object.prototype.toString.call(reduxAction) === "[object Object]"
+          && reduxAction.type
+        ) {
+          run.emit('actionDispatch', action, { reduxAction });
+
+          return store.dispatch(run.annotate ? annotateAction(reduxAction, action, run) : reduxAction);
+        }
+
+        throw new Error('Signal actions should dispatch only plain object redux actions');
+      },
+    };
+  }
+
+  return methods;
+}
+
+/**
+ * Copy redux action with signal name, run id and action path in `meta.appstate`
+ * @param {Object} reduxAction
+ * @param {Object} action static tree branch
+ * @param {Object} run
+ * @returns {Object}
+ */
+function annotateAction (reduxAction, action, run) {
+  var meta = { signal: run.signal.name, id: run.signal.id, path: action.path };
+
+  return Object.assign({}, reduxAction, {
+    meta: Object.assign({}, reduxAction.meta, { appstate: meta })
+  });
+}
+
+/**
+ * Transform signal actions to static tree.
+ * Every function will be exposed as object definition with its position in the tree.
+ * Tree is frozen, because it is shared by all runs of the signal.
+ * @param {Array} signalActions
+ * @param {Array} [catchActions] catch branch, its paths start with "catch"
+ * @returns {{ actions: [], branches: [], catchBranches: [] }}
+ */
+function staticTree (signalActions, catchActions = []) {
+  var actions = [];
+  var branches = transformSequence(signalActions, [], actions);
+  var catchBranches = transformSequence(catchActions, ['catch'], actions);
+  return { actions, branches: freezeBranches(branches), catchBranches: freezeBranches(catchBranches) };
+}
+
+/**
+ * Deep freeze tree branches
+ * @param {Array} branches
+ * @returns {Array}
+ */
+function freezeBranches (branches) {
+  branches.forEach((branch) => {
+    if (Array.isArray(branch)) {
+      return freezeBranches(branch);
+    }
+
+    if (branch.isSubSignal) {
+      freezeBranches(branch.branches);
+    }
+
+    Object.freeze(branch.path);
+    Object.freeze(branch.outputNames);
+
+    if (branch.retry) {
+      Object.freeze(branch.retry);
+    }
+
+    if (branch.outputs) {
+      Object.keys(branch.outputs).forEach((key) => freezeBranches(branch.outputs[key]));
+      Object.freeze(branch.outputs);
+    }
+
+    Object.freeze(branch);
+  });
+
+  return Object.freeze(branches);
+}
+
+/**
+ * Transform sequence of actions to list of branches.
+ * Actions of sequence are sync, arrays and `parallel` inside of it are parallel groups,
+ * nested `sequence` is inlined. Outputs objects are consumed by preceding actions,
+ * so every branch keeps index of its action in signal definition.
+ * @param {Array} items
+ * @param {Array} path
+ * @param {Array} actions
+ * @returns {Array}
+ */
+function transformSequence (items, path, actions) {
+  return items.reduce((branches, item, index) => {
+    var itemPath = path.concat(getActionIndex(items, index));
+    var type = getDefinitionType(item);
+
+    if (isOutputsObject(item)) {
+      return branches;
+    }
+
+    if (type === 'sequence') {
+      return branches.concat(transformSequence(item.actions, itemPath, actions));
+    }
+
+    if (Array.isArray(item) || type === 'parallel') {
+      return branches.concat([transformParallel(getDefinitionItems(item), itemPath, actions)]);
+    }
+
+    return branches.concat(transformAction(item, items[index + 1], itemPath, actions, true));
+  }, []);
+}
+
+/**
+ * Transform parallel group of actions.
+ * Actions of the group are async, arrays and `sequence` inside of it are sequences running in one lane,
+ * nested `parallel` is inlined.
+ * @param {Array} items
+ * @param {Array} path
+ * @param {Array} actions
+ * @returns {Array}
+ */
+function transformParallel (items, path, actions) {
+  return items.reduce((branches, item, index) => {
+    var itemPath = path.concat(getActionIndex(items, index));
+    var type = getDefinitionType(item);
+
+    if (isOutputsObject(item)) {
+      return branches;
+    }
+
+    if (type === 'parallel') {
+      return branches.concat(transformParallel(item.actions, itemPath, actions));
+    }
+
+    if (Array.isArray(item) || type === 'sequence') {
+      return branches.concat([transformSequence(getDefinitionItems(item), itemPath, actions)]);
+    }
+
+    return branches.concat(transformAction(item, items[index + 1], itemPath, actions, false));
+  }, []);
+}
+
+/**
+ * Transform output branch, it is a sequence or a parallel group
+ * @param {Array|Object} branch
+ * @param {Array} path
+ * @param {Array} actions
+ * @returns {Array}
+ */
+function transformOutputBranch (branch, path, actions) {
+  if (getDefinitionType(branch) === 'parallel') {
+    return [transformParallel(branch.actions, path, actions)];
+  }
+
+  return transformSequence(getDefinitionItems(branch), path, actions);
+}
+
+/**
+ * Transform action or sub-signal with outputs object that follows it
+ * @param {Function|Object} action
+ * @param {*} next next item in signal definition
+ * @param {Array} path
+ * @param {Array} actions
+ * @param {Boolean} isSync
+ * @returns {Object}
+ */
+function transformAction (action, next, path, actions, isSync) {
+  var outputs = isOutputsObject(next) ? next : null;
+
+  return isSubSignal(action) ?
+    transformSubSignalBranch(action, outputs, path, actions, isSync) :
+    transformSyncBranch(action, outputs, path, actions, isSync);
+}
+
+/**
+ * Transform action to sync branch
+ * @param {Function} action
+ * @param {Object|null} outputs
+ * @param {Array} path
+ * @param {Array} actions
+ * @param {Boolean} isSync
+ * @returns {{
+ *    name: *, isAsync: boolean, path: *, key: string,
+ *    outputs: null, outputNames: [], actionIndex: number,
+ *    timeout: number|null, retry: Object|null
+ *  }|undefined}
+ */
+function transformSyncBranch (action, outputs, path, actions, isSync) {
+  var branch = {
+    name: getFunctionName(action),
+    isAsync: !isSync,
+    path: path.slice(),
+    key: path.join('.'),
+    outputs: null,
+    outputNames: [],
+    actionIndex: actions.indexOf(action) === -1 ? actions.push(action) - 1 : actions.indexOf(action),
+    timeout: action.timeout || null,
+    retry: normalizeRetryPolicy(action.retry)
+  };
+
+  if (outputs) {
+    if (outputs.$timeout) {
+      branch.timeout = outputs.$timeout;
+    }
+
+    if (outputs.$retry) {
+      branch.retry = normalizeRetryPolicy(outputs.$retry);
+    }
+
+    transformOutputs(branch, outputs, path, actions);
+  }
+
+  return branch;
+}
+
+/**
+ * Transform sub-signal to branch with nested tree.
+ * Actions of sub-signal start from sync position wherever sub-signal is placed,
+ * their paths are nested under "actions" of sub-signal path.
+ * @param {Object} subSignal
+ * @param {Object|null} outputs
+ * @param {Array} path
+ * @param {Array} actions
+ * @param {Boolean} isSync
+ * @returns {Object}
+ */
+function transformSubSignalBranch (subSignal, outputs, path, actions, isSync) {
+  var branch = {
+    name: subSignal.name,
+    isAsync: !isSync,
+    isSubSignal: true,
+    isTransaction: !!subSignal.isTransaction,
+    path: path.slice(),
+    key: path.join('.'),
+    branches: null,
+    outputs: null,
+    outputNames: [],
+    actionIndex: null,
+    timeout: null,
+    retry: null
+  };
+
+  branch.branches = transformSequence(subSignal.actions, path.concat('actions'), actions);
+
+  if (outputs) {
+    transformOutputs(branch, outputs, path, actions);
+  }
+
+  return branch;
+}
+
+/**
+ * Transform output branches of outputs object
+ * @param {Object} branch
+ * @param {Object} outputs
+ * @param {Array} path
+ * @param {Array} actions
+ */
+function transformOutputs (branch, outputs, path, actions) {
+  branch.outputs = Object.keys(outputs)
+    .filter(key => !isOptionKey(key))
+    .reduce((paths, key) => {
+      paths[key] = transformOutputBranch(outputs[key], path.concat('outputs', key), actions);
+      return paths;
+    }, {});
+  branch.outputNames = Object.keys(branch.outputs);
+}
+
+/**
+ * Fill retry policy of async action with defaults
+ * @param {Object|Number} [policy] policy object or max attempts number
+ * @returns {{
+ *    attempts: Number, backoff: String, delay: Number,
+ *    maxDelay: Number|null, jitter: Number, retryOn: Function|null
+ *  }|null}
+ */
+function normalizeRetryPolicy (policy) {
+  if (!policy) {
+    return null;
+  }
+
+  if (typeof policy === 'number') {
+    policy = { attempts: policy };
+  }
+
+  return {
+    attempts: policy.attempts || 1,
+    backoff: policy.backoff || 'fixed',
+    delay: policy.delay || 0,
+    maxDelay: typeof policy.maxDelay === 'number' ? policy.maxDelay : null,
+    jitter: policy.jitter === true ? 1 : policy.jitter || 0,
+    retryOn: policy.retryOn || null
+  };
+}
+
+/**
+ * Check signal definition and throw single error with all its problems.
+ * Warnings of valid signal are passed to logWarning.
+ * @param {Array} actions
+ * @param {String|null} name signal name
+ * @param {Function} logWarning
+ * @param {Object} options options of signal create
+ */
+function assertValid (actions, name, logWarning, options) {
+  var diagnostics = collectDiagnostics(actions, options);
+  var hasErrors = diagnostics.some(diagnostic => diagnostic.severity === 'error');
+
+  if (hasErrors) {
+    var signalName = name ? ` "${name}"` : '';
+    var lines = diagnostics.map((diagnostic) => {
+      return `  ${diagnostic.severity} at ${JSON.stringify(diagnostic.path)}: ${diagnostic.message}`;
+    });
+    var error = new Error(`State: Definition of signal${signalName} is incorrect:\n${lines.join('\n')}`);
+
+    error.diagnostics = diagnostics;
+    throw error;
+  }
+
+  diagnostics.forEach((diagnostic) => {
+    logWarning({
+      message: `State: ${diagnostic.message}`,
+      name: diagnostic.action,
+      path: diagnostic.path
+    }, null);
+  });
+}
+
+/**
+ * Analyze signal definition and, if its structure is correct, schemas of its actions
+ * @param {Array} actions
+ * @param {Object} options
+ * @returns {Array}
+ */
+function collectDiagnostics (actions, options) {
+  var diagnostics = analyze(actions);
+
+  if (options.catch) {
+    analyze(options.catch, ['catch'], diagnostics);
+  }
+
+  if (diagnostics.some(diagnostic => diagnostic.severity === 'error')) {
+    return diagnostics;
+  }
+
+  return diagnostics.concat(schema.analyze(staticTree(actions), options));
+}
+
+/**
+ * Analyze actions for errors
+ * @param {Array} actions
+ * @param {Array} [path] path of actions in signal definition
+ * @param {Array} [diagnostics]
+ * @returns {Array}
  */
-function runBranch (index, options) {
-  var { tree, signal, start, promise } = options;
-  var currentBranch = tree.branches[index];
+function analyze (actions, path = [], diagnostics = []) {
+  if (!Array.isArray(actions)) {
+    report(diagnostics, 'error', 'Signal actions should be array', path, null);
+    return diagnostics;
+  }
 
-  if (!currentBranch && tree.branches === signal.branches) {
-    if (tree.branches[index - 1]) {
-      tree.branches[index - 1].duration = Date.now() - start;
+  actions.forEach((action, index) => {
+    if (Array.isArray(action) || isBlock(action)) {
+      analyze(getDefinitionItems(action), path.concat(getActionIndex(actions, index)), diagnostics);
+    } else if (isSubSignal(action)) {
+      analyzeSubSignal(action, actions[index + 1], path.concat(getActionIndex(actions, index)), diagnostics);
+    } else if (isOutputsObject(action)) {
+      analyzeOutputsObject(action, actions, index, path, diagnostics);
+    } else if (typeof action === 'function') {
+      analyzeOutputs(action, actions[index + 1], path.concat(getActionIndex(actions, index)), diagnostics);
+    } else {
+      report(diagnostics, 'error', describeInvalidAction(action), path.concat(getActionIndex(actions, index)), null);
     }
+  });
 
-    signal.isExecuting = false;
+  return diagnostics;
+}
 
-    if (promise) {
-      promise.resolve(signal);
-    }
+/**
+ * Analyze outputs object and its output branches
+ * @param {Object} outputs
+ * @param {Array} actions array that contains outputs object
+ * @param {Number} index index of outputs object
+ * @param {Array} path path of actions array
+ * @param {Array} diagnostics
+ */
+function analyzeOutputsObject (outputs, actions, index, path, diagnostics) {
+  var action = actions[index - 1];
 
-    return;
+  if (index === 0) {
+    return report(
+      diagnostics, 'error', 'Outputs object can not be first in actions array, it should follow an action',
+      path.concat(getActionIndex(actions, index)), null
+    );
   }
 
-  if (!currentBranch) {
-    return;
+  if (typeof action !== 'function' && !isSubSignal(action)) {
+    return report(
+      diagnostics, 'error', 'Outputs object should follow an action function',
+      path.concat(getActionIndex(actions, index)), null
+    );
   }
 
-  if (Array.isArray(currentBranch)) {
-    return runAsyncBranch(index, currentBranch, options);
-  } else {
-    return runSyncBranch(index, currentBranch, options);
+  var name = isSubSignal(action) ? action.name : getFunctionName(action);
+  var outputsPath = path.concat(getActionIndex(actions, index - 1), 'outputs');
+  var keys = Object.keys(outputs);
+
+  keys
+    .filter(key => isOptionKey(key) && (isSubSignal(action) || ACTION_OPTIONS.indexOf(key) === -1))
+    .forEach((key) => {
+      var message = isSubSignal(action) ?
+        `Option "${key}" is not supported by sub-signal "${name}"` :
+        `Unknown action option "${key}"`;
+
+      report(diagnostics, 'warning', message, outputsPath, name);
+    });
+
+  keys = keys.filter(key => !isOptionKey(key));
+
+  if (!keys.length) {
+    report(diagnostics, 'warning', `Outputs object of action "${name}" is empty`, outputsPath, name);
   }
+
+  keys.forEach((key) => {
+    if (Array.isArray(outputs[key]) || isBlock(outputs[key])) {
+      analyze(getDefinitionItems(outputs[key]), outputsPath.concat(key), diagnostics);
+    } else {
+      report(
+        diagnostics, 'error', `Output "${key}" of action "${name}" should be array of actions`,
+        outputsPath.concat(key), name
+      );
+    }
+  });
 }
 
 /**
- * Run async branch
- * @param {Number} index
- * @param {Object} currentBranch
- * @param {Object} options
- * @param {Object} options.tree
- * @param {Object} options.args
- * @param {Object} options.signal
- * @param {Object} options.promise
- * @param {Date}   options.start
- * @param {Redux} options.store
- * @param {Object} options.services
- * @returns {Promise}
+ * Analyze sub-signal name, its actions and outputs it can end on
+ * @param {Object} subSignal
+ * @param {*} outputs next item in signal definition
+ * @param {Array} path
+ * @param {Array} diagnostics
  */
-function runAsyncBranch (index, currentBranch, options) {
-  var { tree, args, signal, store, promise, start, services } = options;
+function analyzeSubSignal (subSignal, outputs, path, diagnostics) {
+  var { name } = subSignal;
 
-  var promises = currentBranch
-    .map(action => {
-      var actionFunc = tree.actions[action.actionIndex];
-      var actionArgs = createActionArgs(args, store, true);
-      var outputs = action.outputs ? Object.keys(action.outputs) : [];
+  if (typeof name !== 'string' || !name) {
+    report(diagnostics, 'error', 'Sub-signal name should be non-empty string', path, null);
+  }
 
-      action.isExecuting = true;
-      action.args = merge({}, args);
+  analyze(subSignal.actions, path.concat('actions'), diagnostics);
 
-      var nextActionPromise;
-      var foundResult = signal.asyncActionResults.find((result) => isEqualArrays(result.outputPath, action.path));
+  if (!isOutputsObject(outputs) || !Array.isArray(subSignal.actions)) {
+    return;
+  }
 
-      // If actions results provided, you run it in replay mode
-      if (foundResult) {
-        nextActionPromise = Promise.resolve(foundResult);
-      } else {
-        var next = createNextAsyncAction(actionFunc, outputs);
-        actionFunc(Object.assign({}, actionArgs, {
-          output: next.fn,
-          services,
-        }));
-        nextActionPromise = next.promise;
-      }
+  var ends = getSubSignalOutputs(subSignal.actions);
+  var unknown = Object.keys(outputs).filter(key => !isOptionKey(key) && ends.indexOf(key) === -1);
 
-      return nextActionPromise
-        .then(result => {
-          action.hasExecuted = true;
-          action.isExecuting = false;
-          action.output = result.args;
-
-          // Save short results snippet for replay
-          signal.asyncActionResults.push({
-            outputPath: action.path,
-            path: result.path,
-            args: result.args
-          });
-
-          merge(args, result.args);
-
-          if (result.path) {
-            action.outputPath = result.path;
-            var output = action.outputs[result.path];
-
-            return runBranch(0, {
-              args, signal, store, start, promise, services,
-              tree: {
-                actions: tree.actions,
-                branches: output
-              }
-            });
-          }
-        })
-        .catch((e) => promise.reject(e));
-    });
+  if (unknown.length) {
+    var list = (outputs) => outputs.map(output => `"${output}"`).join(', ');
+    var endsOn = ends.length ? `can end on outputs ${list(ends)}` : 'does not end on output path';
 
-  return Promise.all(promises)
-    .then(() => runBranch(index + 1, options));
+    report(
+      diagnostics, 'error',
+      `Sub-signal "${name}" ${endsOn}, but outputs object has unknown ${list(unknown)}`,
+      path, name
+    );
+  }
 }
 
 /**
- * Run sync branch
- * @param {Number} index
- * @param {Object} currentBranch
- * @param {Object} options
- * @param {Object} options.tree
- * @param {Object} options.args
- * @param {Object} options.signal
- * @param {Object} options.promise
- * @param {Date}   options.start
- * @param {Redux} options.store
- * @param {Object} options.services
- * @returns {Promise|undefined}
+ * Get output paths sub-signal can end on, paths of outputs objects of its last action or parallel group
+ * @param {Array} actions
+ * @returns {Array<String>}
  */
-function runSyncBranch (index, currentBranch, options) {
-  var { args, tree, signal, store, start, promise, services } = options;
+function getSubSignalOutputs (actions) {
+  var last = actions[actions.length - 1];
 
-  try {
-    var action = currentBranch;
-    var actionFunc = tree.actions[action.actionIndex];
-    var actionArgs = createActionArgs(args, store, false);
-    var outputs = action.outputs ? Object.keys(action.outputs) : [];
+  if (getDefinitionType(last) === 'sequence') {
+    return getSubSignalOutputs(last.actions);
+  }
 
-    action.args = merge({}, args);
+  var items = Array.isArray(last) || isBlock(last) ? getDefinitionItems(last) : actions.slice(-2);
 
-    var next = createNextSyncAction(actionFunc, outputs);
-    actionFunc(Object.assign({}, actionArgs, {
-      output: next,
-      services,
-    }));
+  return items
+    .filter((item, index) => {
+      var action = items[index - 1];
+
+      return isOutputsObject(item) && (typeof action === 'function' || isSubSignal(action));
+    })
+    .reduce((paths, item) => paths.concat(Object.keys(item).filter(key => !isOptionKey(key))), [])
+    .filter((path, index, paths) => paths.indexOf(path) === index);
+}
 
-    var result = next._result || {};
-    merge(args, result.args);
+/**
+ * Check that outputs object of action matches outputs declared by action function
+ * @param {Function} action
+ * @param {*} outputs next item in signal definition
+ * @param {Array} path
+ * @param {Array} diagnostics
+ */
+function analyzeOutputs (action, outputs, path, diagnostics) {
+  var declared = action.outputs;
 
-    action.isExecuting = false;
-    action.hasExecuted = true;
-    action.output = result.args;
+  if (!Array.isArray(declared)) {
+    return;
+  }
 
-    if (result.path) {
-      action.outputPath = result.path;
-      var output = action.outputs[result.path];
+  var name = getFunctionName(action);
+  var paths = isOutputsObject(outputs) ? Object.keys(outputs).filter(key => !isOptionKey(key)) : [];
+  var hasTimeout = !!action.timeout || isOutputsObject(outputs) && !!outputs.$timeout;
+  var missing = declared.filter(output => paths.indexOf(output) === -1);
+  var unknown = paths.filter(output => {
+    return declared.indexOf(output) === -1 && !(output === 'timeout' && hasTimeout);
+  });
+  var list = (outputs) => outputs.map(output => `"${output}"`).join(', ');
 
-      var runResult = runBranch(0, {
-        args, signal, store, start, promise, services,
-        tree: {
-          actions: tree.actions,
-          branches: output
-        }
-      });
+  if (missing.length || unknown.length) {
+    var problems = []
+      .concat(missing.length ? `missing ${list(missing)}` : [])
+      .concat(unknown.length ? `unknown ${list(unknown)}` : []);
 
-      if (runResult && runResult.then) {
-        return runResult.then(() => {
-          return runBranch(index + 1, options);
-        });
-      }
+    report(
+      diagnostics, 'error',
+      `Action "${name}" declares outputs ${list(declared)}, but outputs object has ${problems.join(' and ')}`,
+      path, name
+    );
+  }
 
-      return runBranch(index + 1, options);
-    }
-    return runBranch(index + 1, options);
-  } catch (e) {
-    promise.reject(e);
+  if (action.defaultOutput && declared.indexOf(action.defaultOutput) === -1) {
+    report(
+      diagnostics, 'error',
+      `Action "${name}" has default output "${action.defaultOutput}" that is not declared in outputs ${list(declared)}`,
+      path, name
+    );
   }
 }
 
 /**
- * Add output paths to next function.
- *
- * Outputs takes from branches tree object.
- * @example:
- *  var actions = [
- *    syncAction,
- *    [
- *      asyncAction,
- *      {
- *        custom1: [custom1SyncAction],
- *        custom2: [custom2SyncAction]
- *      }
- *    ]
- *  ];
- *
- *  function asyncAction ({}, store, output) {
- *    if ( ... ) {
- *      output.custom1();
- *    } else {
- *      output.custom2();
- *    }
- *  }
- *
- * @param {Function} next
- * @param {Array} outputs
- * @returns {*}
+ * Describe item of signal definition that is not an action
+ * @param {*} action
+ * @returns {String}
  */
-function addOutputs (next, outputs) {
-  if (Array.isArray(outputs)) {
-    outputs.forEach(key => {
-      next[key] = next.bind(null, key);
-    });
+function describeInvalidAction (action) {
+  if (typeof action === 'undefined') {
+    return 'Action does not exist. Check that you have spelled it correctly!';
   }
 
-  return next;
+  if (typeof action === 'string') {
+    return `Action should be a function, got string "${action}". Check that you have spelled it correctly!`;
+  }
+
+  return `Action should be a function, got ${action === null ? 'null' : typeof action}`;
 }
 
 /**
- * Create next function in signal chain.
- * It's unified method for async and sync actions.
- * @param {Function} action
- * @param {Function} [resolver]
- * @returns {Function}
+ * Add diagnostic of signal definition
+ * @param {Array} diagnostics
+ * @param {String} severity "error" or "warning"
+ * @param {String} message
+ * @param {Array} path
+ * @param {String|null} action action name
  */
-function createNextFunction (action, resolver) {
-  return function next (...args) {
-    var path = typeof args[0] === 'string' ? args[0] : null;
-    var arg = path ? args[1] : args[0];
-
-    var result = {
-      path: path ? path : action.defaultOutput,
-      args: arg
-    };
+function report (diagnostics, severity, message, path, action) {
+  diagnostics.push({ severity, message, path, action });
+}
 
-    if (resolver) {
-      resolver(result);
-    } else {
-      next._result = result;
-    }
-  };
+/**
+ * Check that item of signal definition is outputs object
+ * @param {*} action
+ * @returns {Boolean}
+ */
+function isOutputsObject (action) {
+  return Object.prototype.toString.call(action) === '[object Object]' && !getDefinitionType(action);
 }
 
 /**
- * Create next sync action
- * @param {Function} actionFunc
- * @param {Array} outputs
- * @returns {Function}
+ * Get type of signal definition item created by appstate
+ * @param {*} action
+ * @returns {String|null} "subSignal", "sequence", "parallel" or null
  */
-function createNextSyncAction (actionFunc, outputs) {
-  var next = createNextFunction(actionFunc);
-  next = addOutputs(next, outputs);
+function getDefinitionType (action) {
+  return action && action[DEFINITION_TYPE] || null;
+}
 
-  return next;
+/**
+ * Check that item of signal definition is sub-signal
+ * @param {*} action
+ * @returns {Boolean}
+ */
+function isSubSignal (action) {
+  return getDefinitionType(action) === 'subSignal';
 }
 
 /**
- * Create next sync action
- * @param {Function} actionFunc
- * @param {Array} outputs
- * @returns {{}}
+ * Check that item of signal definition is `sequence` or `parallel`
+ * @param {*} action
+ * @returns {Boolean}
  */
-function createNextAsyncAction (actionFunc, outputs) {
-  var resolver = null;
-  var promise = new Promise((resolve) => resolver = resolve);
-  var fn = createNextFunction(actionFunc, resolver);
-  addOutputs(fn, outputs);
+function isBlock (action) {
+  var type = getDefinitionType(action);
 
-  return { fn, promise };
+  return type === 'sequence' || type === 'parallel';
 }
 
 /**
- * Create action arguments for every action.
- * State object exposed as special patched collection of
- * mutation/accessors functions of Redux store.
- * @param {*} args
- * @param {Object} action
- * @param {Object} store
- * @param {Boolean} isAsync
+ * Get actions of array, `sequence` or `parallel`
+ * @param {Array|Object} items
  * @returns {Array}
  */
-function createActionArgs (args, store, isAsync) {
-  return Object
-    .assign(
-      { args },
-      getStoreMethods(store, isAsync)
-    );
+function getDefinitionItems (items) {
+  return Array.isArray(items) ? items : items.actions;
 }
 
 /**
- * Get store mutators and accessors
- * Each mutation will save in action descriptor.
- * This method allow add ability
- * to gather information about call every function.
- * @param {Object} store
- * @param {Object} action
- * @param {Boolean} isAsync
- * @return {Object}
+ * Get index of item in actions array used in its path.
+ * Outputs objects belong to preceding actions, so they are not counted.
+ * @example:
+ *  getActionIndex([a, { success: [] }, b], 2); // 1
+ *
+ * @param {Array} items
+ * @param {Number} index
+ * @returns {Number}
  */
-function getStoreMethods (store, isAsync) {
-  let methods = null;
-
-  if (isAsync) {
-    methods = {
-      getState: store.getState,
-    };
-  } else {
-    methods = {
-      getState: store.getState,
-      dispatch (action) {
-        if (
-          Object.prototype.toString.call(action) === "[object Object]"
-          && action.type
-        ) {
-          return store.dispatch(action);
-        }
-
-        throw new Error('Signal actions should dispatch only plain object redux actions');
-      },
-    };
-  }
-
-  return methods;
+function getActionIndex (items, index) {
+  return items.slice(0, index).filter(item => !isOutputsObject(item)).length;
 }
 
 /**
- * Transform signal actions to static tree.
- * Every function will be exposed as object definition,
- * that will store meta information and function call results.
- * @param {Array} signalActions
- * @returns {{ actions: [], branches: [] }}
+ * Check that key of outputs object is action option, like "$timeout"
+ * @param {String} key
+ * @returns {Boolean}
  */
-function staticTree (signalActions) {
-  var actions = [];
-  var branches = transformBranch(signalActions, [], [], actions, false);
-  return { actions, branches };
+function isOptionKey (key) {
+  return key.charAt(0) === '$';
 }
 
 /**
- * Transform tree branch
- * @param {Function} action
- * @param {Array}    args
- * @param {Array|Function}    args.parentAction
- * @param {Array}    args.path
- * @param {Array}    args.actions
- * @param {Boolean}  args.isSync
- * @return {Object}
+ * Describe action for error and warning messages
+ * @param {Object} action static tree branch
+ * @param {Object} signal
+ * @returns {String}
  */
-function transformBranch (action, ...args) {
-  return Array.isArray(action) ?
-    transformAsyncBranch.apply(null, [action, ...args]) :
-    transformSyncBranch.apply(null, [action, ...args]);
+function describeAction (action, signal) {
+  var signalName = signal.name ? ` in signal "${signal.name}"` : '';
+  return `Action "${action.name}" at path ${JSON.stringify(action.path)}${signalName}`;
 }
 
 /**
- * Transform action to async branch
- * @param {Function} action
- * @param {Array|Function} parentAction
- * @param {Array} path
- * @param {Array} actions
- * @param {Boolean} isSync
- * @returns {*}
+ * Get signal description for error messages
+ * @param {Object} signal
+ * @returns {String}
  */
-function transformAsyncBranch (action, parentAction, path, actions, isSync) {
-  action = action.slice();
-  isSync = !isSync;
-  return action
-    .map((subAction, index) => {
-      path.push(index);
-      var result = transformBranch(subAction, action, path, actions, isSync);
-      path.pop();
-      return result;
-    })
-    .filter(branch => !!branch);
+function describeSignal (signal) {
+  return signal.name ? `signal "${signal.name}"` : 'signal';
 }
 
 /**
- * Transform action to sync branch
- * @param {Function} action
- * @param {Array|Function} parentAction
- * @param {Array} path
- * @param {Array} actions
- * @param {Boolean} isSync
- * @returns {{
- *    name: *, args: {}, output: null, duration: number,
- *    isExecuting: boolean, hasExecuted: boolean,
- *    path: *, outputs: null, actionIndex: number
- *  }|undefined}
+ * Get error of value that can not be serialized to JSON.
+ * In "warn" mode problems are reported as warning of the run and signal keeps running.
+ * @param {*} value
+ * @param {String} description
+ * @param {Object|null} action static tree branch, null for initial args
+ * @param {Object} run
+ * @returns {Error|null}
  */
-function transformSyncBranch (action, parentAction, path, actions, isSync) {
-  var branch = {
-    name: getFunctionName(action),
-    args: {},
-    output: null,
-    duration: 0,
-    isAsync: !isSync,
-    outputPath: null,
-    isExecuting: false,
-    hasExecuted: false,
-    path: path.slice(),
-    outputs: null,
-    actionIndex: actions.indexOf(action) === -1 ? actions.push(action) - 1 : actions.indexOf(action)
-  };
+function getSerializeError (value, description, action, run) {
+  if (run.serializeCheck === 'ignore') {
+    return null;
+  }
 
-  var nextAction = parentAction[parentAction.indexOf(action) + 1];
-  if (!Array.isArray(nextAction) && typeof nextAction === 'object') {
-    parentAction.splice(parentAction.indexOf(nextAction), 1);
+  var problems = serializable.check(value);
 
-    branch.outputs = Object.keys(nextAction)
-      .reduce((paths, key) => {
-        path = path.concat('outputs', key);
-        paths[key] = transformBranch(nextAction[key], parentAction, path, actions, false);
-        path.pop();
-        path.pop();
-        return paths;
-      }, {});
+  if (!problems.length) {
+    return null;
   }
 
-  return branch;
+  var message = `State: ${description}: ${problems.join(', ')}.`;
+
+  if (run.serializeCheck === 'warn') {
+    run.warn(message, action);
+    return null;
+  }
+
+  return new Error(message);
 }
 
 /**
- * Analyze actions for errors
- * @param {Array} actions
+ * Get function name
+ * @param {Function} fn
+ * @returns {String}
  */
-function analyze (actions) {
-  if (!Array.isArray(actions)) {
-    throw new Error('State: Signal actions should be array');
+function getFunctionName (fn) {
+  if (fn.name) {
+    return fn.name;
   }
 
-  actions.forEach((action, index) => {
-    if (typeof action === 'undefined' || typeof action === 'string') {
-      throw new Error(
-        `
-            State: Action number "${index}" in signal does not exist.
-            Check that you have spelled it correctly!
-          `
-      );
-    }
-
-    if (Array.isArray(action)) {
-      analyze(action);
-    } else if (Object.prototype.toString.call(action) === "[object Object]") {
-      Object.keys(action).forEach(function (output) {
-        analyze(action[output]);
-      });
-    }
-  });
+  var name = fn.toString();
+  name = name.substr('function '.length);
+  name = name.substr(0, name.indexOf('('));
+  return name.trim();
 }
 
 /**
- * Check arguments
- * @param {*} args
- * @param {Object} promise
+ * Serialize error to plain object, so it can be saved with async action results
+ * @param {Error} error
+ * @returns {{ name: String, message: String }}
  */
-function checkArgs (args, promise) {
-  try {
-    JSON.stringify(args);
-  } catch (e) {
-    promise.reject(`State - Could not serialize arguments to signal. Please check signal.`);
+function serializeError (error) {
+  if (error instanceof Error) {
+    return { name: error.name, message: error.message };
   }
+
+  return { name: 'Error', message: String(error) };
 }
 
 /**
- * Get function name
- * @param {Function} fn
- * @returns {String}
+ * Restore error from serialized plain object
+ * @param {{ name: String, message: String }} serialized
+ * @returns {Error}
  */
-function getFunctionName (fn) {
-  var name = fn.toString();
-  name = name.substr('function '.length);
-  name = name.substr(0, name.indexOf('('));
-  return name;
+function restoreError (serialized) {
+  var error = new Error(serialized.message);
+  error.name = serialized.name;
+  return error;
 }
 
+function noop () {}
+
 /**
  * Merge two objects
  * @param {Object} target
@@ -0,0 +1,96 @@
+module.exports = {
+  /**
+   * Get DevTools connection from middleware option.
+   * `true` connects to Redux DevTools extension if it is installed,
+   * object with `init` and `send` methods is used as connection itself.
+   *
+   * @example:
+   *  devtools.connect(true); // window.__REDUX_DEVTOOLS_EXTENSION__.connect({ name: 'appstate' })
+   *  devtools.connect(devtools.createLocalConnection());
+   *
+   * @param {Boolean|Object} option
+   * @returns {Object|null}
+   */
+  connect (option) {
+    if (!option) {
+      return null;
+    }
+
+    if (option === true) {
+      var extension = typeof window !== 'undefined' && window.__REDUX_DEVTOOLS_EXTENSION__;
+
+      return extension ? extension.connect({ name: 'appstate' }) : null;
+    }
+
+    if (typeof option.init !== 'function' || typeof option.send !== 'function') {
+      throw new Error('State: DevTools connection should have "init" and "send" methods');
+    }
+
+    return option;
+  },
+
+  /**
+   * Create local stand-in of DevTools connection.
+   * It keeps every message in `messages` instead of sending it to the extension,
+   * so it can be used in tests and for logging.
+   * @returns {{ messages: Array, init: Function, send: Function, error: Function, subscribe: Function, unsubscribe: Function }}
+   */
+  createLocalConnection () {
+    var messages = [];
+
+    return {
+      messages,
+      init (state) {
+        messages.push({ type: 'INIT', state });
+      },
+      send (action, state) {
+        messages.push({ type: 'ACTION', action, state });
+      },
+      error (message) {
+        messages.push({ type: 'ERROR', message });
+      },
+      subscribe () {
+        return noop;
+      },
+      unsubscribe: noop
+    };
+  },
+
+  /**
+   * Send finished signal with its execution tree to DevTools connection
+   * @param {Object} connection
+   * @param {Object} signal
+   * @param {Object} state redux state after the signal
+   */
+  sendSignal (connection, signal, state) {
+    connection.send(createSignalAction(signal), state);
+  }
+};
+
+/**
+ * Create DevTools action of finished signal.
+ * Only data of the run is sent, static tree and action functions stay in the app.
+ * @param {Object} signal
+ * @returns {{ type: String, signal: Object }}
+ */
+function createSignalAction (signal) {
+  return {
+    type: `@@appstate/SIGNAL ${signal.name || 'anonymous'}`,
+    signal: {
+      id: signal.id,
+      name: signal.name,
+      args: signal.args,
+      executions: signal.executions,
+      warnings: signal.warnings,
+      isCancelled: signal.isCancelled,
+      cancelReason: signal.cancelReason,
+      error: signal.error,
+      isRolledBack: signal.isRolledBack,
+      start: signal.start,
+      end: signal.end,
+      duration: signal.duration
+    }
+  };
+}
+
+function noop () {}
@@ -0,0 +1,372 @@
+const appstate = require('./appstate');
+const { getBranchPath } = require('./tree');
+
+const STATUS_COLORS = {
+  executed: '#c8e6c9',
+  running: '#bbdefb',
+  failed: '#ffcdd2',
+  timedOut: '#ffe0b2',
+  cancelled: '#eeeeee'
+};
+
+const TAKEN_COLOR = '#2e7d32';
+
+module.exports = {
+  /**
+   * Export signal as Mermaid flowchart.
+   * Parallel groups are subgraphs, output edges are labelled with output names,
+   * sub-signals are collapsed to single subroutine node.
+   * Executed signal additionally gets status of every action and highlighted path taken.
+   *
+   * @example:
+   *  diagram.toMermaid(loginActions, { name: 'login' });
+   *  diagram.toMermaid(signal); // signal from resolved signal promise
+   *
+   * @param {Array|Function|Object} source signal definition, compiled signal or executed signal
+   * @param {Object} [options]
+   * @param {String} [options.name] signal name for signal definition
+   * @returns {String}
+   */
+  toMermaid (source, options = {}) {
+    var graph = createGraph(source, options);
+    var lines = ['flowchart TD'];
+    var edgeIndexes = [];
+
+    lines.push(`  start(["${escapeMermaid(graph.name)}"])`);
+    lines = lines.concat(renderMermaidGroup(graph, null, '  '));
+    lines.push('  finish(["end"])');
+
+    graph.edges.forEach((edge, index) => {
+      var label = edge.label ? `|${escapeMermaid(edge.label)}|` : '';
+
+      lines.push(`  ${edge.from} -->${label} ${edge.to}`);
+
+      if (edge.isTaken) {
+        edgeIndexes.push(index);
+      }
+    });
+
+    if (graph.isExecuted) {
+      Object.keys(STATUS_COLORS).forEach((status) => {
+        var ids = graph.nodes.filter(node => node.status === status).map(node => node.id);
+
+        if (ids.length) {
+          lines.push(`  classDef ${status} fill:${STATUS_COLORS[status]}`);
+          lines.push(`  class ${ids.join(',')} ${status}`);
+        }
+      });
+
+      if (edgeIndexes.length) {
+        lines.push(`  linkStyle ${edgeIndexes.join(',')} stroke:${TAKEN_COLOR},stroke-width:2px`);
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  },
+
+  /**
+   * Export signal as Graphviz DOT digraph.
+   * Parallel groups are clusters, output edges are labelled with output names,
+   * sub-signals are collapsed to single node.
+   * Executed signal additionally gets status of every action and highlighted path taken.
+   *
+   * @example:
+   *  fs.writeFileSync('login.dot', diagram.toDot(signal));
+   *
+   * @param {Array|Function|Object} source signal definition, compiled signal or executed signal
+   * @param {Object} [options]
+   * @param {String} [options.name] signal name for signal definition
+   * @returns {String}
+   */
+  toDot (source, options = {}) {
+    var graph = createGraph(source, options);
+    var lines = [`digraph "${escapeDot(graph.name)}" {`];
+
+    lines.push('  rankdir=TB;');
+    lines.push('  node [shape=box, style=rounded];');
+    lines.push(`  start [label="${escapeDot(graph.name)}", shape=oval];`);
+    lines = lines.concat(renderDotGroup(graph, null, '  '));
+    lines.push('  finish [label="end", shape=oval];');
+
+    graph.edges.forEach((edge) => {
+      var attributes = [];
+
+      if (edge.label) {
+        attributes.push(`label="${escapeDot(edge.label)}"`);
+      }
+
+      if (edge.isTaken) {
+        attributes.push(`color="${TAKEN_COLOR}"`, 'penwidth=2');
+      }
+
+      lines.push(`  ${edge.from} -> ${edge.to}${attributes.length ? ` [${attributes.join(', ')}]` : ''};`);
+    });
+
+    lines.push('}');
+
+    return lines.join('\n') + '\n';
+  }
+};
+
+/**
+ * Create graph of nodes, parallel groups and edges from signal
+ * @param {Array|Function|Object} source
+ * @param {Object} options
+ * @returns {{ name: String, isExecuted: Boolean, nodes: Array, groups: Array, edges: Array }}
+ */
+function createGraph (source, options) {
+  var signal = Array.isArray(source) ? appstate.create(source, { name: options.name }) : source;
+  var executions = typeof signal === 'function' ? null : signal.executions;
+  var graph = {
+    name: options.name || signal.signalName || signal.name || 'signal',
+    isExecuted: !!executions,
+    executions: executions || {},
+    nodes: [],
+    groups: [],
+    edges: []
+  };
+
+  addSequence(graph, signal.branches, [{ from: 'start', label: null }], null)
+    .forEach(exit => addEdge(graph, exit, 'finish'));
+
+  if (graph.isExecuted) {
+    markTaken(graph, signal);
+  }
+
+  return graph;
+}
+
+/**
+ * Add sequence of branches to graph
+ * @param {Object} graph
+ * @param {Array} branches
+ * @param {Array<{ from: String, label: String|null }>} entries edges coming into the sequence
+ * @param {Object|null} group parallel group the sequence belongs to
+ * @returns {Array} edges going out of the sequence
+ */
+function addSequence (graph, branches, entries, group) {
+  return branches.reduce((exits, branch) => {
+    return Array.isArray(branch) ?
+      addGroup(graph, branch, exits, group) :
+      addAction(graph, branch, exits, group);
+  }, entries);
+}
+
+/**
+ * Add parallel group to graph, every lane of the group starts from the same entries.
+ * Lane is an action or a sequence of actions.
+ * @param {Object} graph
+ * @param {Array} branch
+ * @param {Array} entries
+ * @param {Object|null} parent
+ * @returns {Array}
+ */
+function addGroup (graph, branch, entries, parent) {
+  var path = getBranchPath(branch);
+
+  // Group without actions does nothing on run, its entries go straight to the next branch
+  if (!path) {
+    return entries;
+  }
+
+  var group = {
+    id: `g_${toId(path)}`,
+    parent: parent ? parent.id : null
+  };
+
+  graph.groups.push(group);
+
+  return branch.reduce((exits, lane) => {
+    return exits.concat(Array.isArray(lane) ?
+      addSequence(graph, lane, entries, group) :
+      addAction(graph, lane, entries, group));
+  }, []);
+}
+
+/**
+ * Add action and its output branches to graph
+ * @param {Object} graph
+ * @param {Object} action static tree branch
+ * @param {Array} entries
+ * @param {Object|null} group
+ * @returns {Array}
+ */
+function addAction (graph, action, entries, group) {
+  var node = {
+    id: `a_${toId(action.path)}`,
+    name: action.name,
+    key: action.key,
+    isSubSignal: !!action.isSubSignal,
+    group: group ? group.id : null,
+    status: getStatus(graph.executions[action.key])
+  };
+
+  graph.nodes.push(node);
+  entries.forEach(entry => addEdge(graph, entry, node.id));
+
+  if (!action.outputNames.length) {
+    return [{ from: node.id, label: null }];
+  }
+
+  return action.outputNames.reduce((exits, name) => {
+    return exits.concat(addSequence(graph, action.outputs[name], [{ from: node.id, label: name }], group));
+  }, []);
+}
+
+/**
+ * Add edge to graph
+ * @param {Object} graph
+ * @param {{ from: String, label: String|null }} entry
+ * @param {String} to
+ */
+function addEdge (graph, entry, to) {
+  graph.edges.push({ from: entry.from, to, label: entry.label, isTaken: false });
+}
+
+/**
+ * Mark edges of executed signal that were taken
+ * @param {Object} graph
+ * @param {Object} signal
+ */
+function markTaken (graph, signal) {
+  var nodes = graph.nodes.reduce((result, node) => {
+    result[node.id] = node;
+    return result;
+  }, {});
+
+  function isReached (id) {
+    if (id === 'start') {
+      return true;
+    }
+
+    if (id === 'finish') {
+      return !signal.isExecuting && !signal.isCancelled && !signal.error;
+    }
+
+    return !!graph.executions[nodes[id].key];
+  }
+
+  graph.edges.forEach((edge) => {
+    if (!isReached(edge.from) || !isReached(edge.to)) {
+      return;
+    }
+
+    edge.isTaken = !edge.label || graph.executions[nodes[edge.from].key].outputPath === edge.label;
+  });
+}
+
+/**
+ * Get status of action execution
+ * @param {Object} [execution]
+ * @returns {String|null} null if action was not executed
+ */
+function getStatus (execution) {
+  if (!execution) {
+    return null;
+  }
+
+  if (execution.isFailed) {
+    return 'failed';
+  }
+
+  if (execution.isTimedOut) {
+    return 'timedOut';
+  }
+
+  if (execution.isCancelled) {
+    return 'cancelled';
+  }
+
+  return execution.isExecuting ? 'running' : 'executed';
+}
+
+/**
+ * Render nodes and nested groups of a group as Mermaid lines
+ * @param {Object} graph
+ * @param {String|null} groupId
+ * @param {String} indent
+ * @returns {Array<String>}
+ */
+function renderMermaidGroup (graph, groupId, indent) {
+  var lines = graph.nodes
+    .filter(node => node.group === groupId)
+    .map((node) => {
+      var label = `"${escapeMermaid(node.name)}"`;
+
+      return `${indent}${node.id}${node.isSubSignal ? `[[${label}]]` : `[${label}]`}`;
+    });
+
+  graph.groups
+    .filter(group => group.parent === groupId)
+    .forEach((group) => {
+      lines.push(`${indent}subgraph ${group.id} ["parallel"]`);
+      lines = lines.concat(renderMermaidGroup(graph, group.id, indent + '  '));
+      lines.push(`${indent}end`);
+    });
+
+  return lines;
+}
+
+/**
+ * Render nodes and nested groups of a group as DOT lines
+ * @param {Object} graph
+ * @param {String|null} groupId
+ * @param {String} indent
+ * @returns {Array<String>}
+ */
+function renderDotGroup (graph, groupId, indent) {
+  var lines = graph.nodes
+    .filter(node => node.group === groupId)
+    .map((node) => {
+      var attributes = [`label="${escapeDot(node.name)}"`];
+
+      if (node.isSubSignal) {
+        attributes.push('shape=component');
+      }
+
+      if (node.status) {
+        attributes.push('style="rounded,filled"', `fillcolor="${STATUS_COLORS[node.status]}"`);
+      }
+
+      return `${indent}${node.id} [${attributes.join(', ')}];`;
+    });
+
+  graph.groups
+    .filter(group => group.parent === groupId)
+    .forEach((group) => {
+      lines.push(`${indent}subgraph cluster_${group.id} {`);
+      lines.push(`${indent}  label="parallel";`);
+      lines.push(`${indent}  style=dashed;`);
+      lines = lines.concat(renderDotGroup(graph, group.id, indent + '  '));
+      lines.push(`${indent}}`);
+    });
+
+  return lines;
+}
+
+/**
+ * Convert path in signal tree to identifier
+ * @param {Array} path
+ * @returns {String}
+ */
+function toId (path) {
+  return path.join('_').replace(/[^\w]/g, '_');
+}
+
+/**
+ * Escape text of Mermaid label
+ * @param {String} text
+ * @returns {String}
+ */
+function escapeMermaid (text) {
+  return String(text).replace(/"/g, '#quot;');
+}
+
+/**
+ * Escape text of DOT string
+ * @param {String} text
+ * @returns {String}
+ */
+function escapeDot (text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
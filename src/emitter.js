@@ -0,0 +1,52 @@
+/**
+ * Create minimal event emitter.
+ * Listener of "*" event type receives all events.
+ * Errors of listeners are passed to onError, so they do not break emitting code.
+ *
+ * @example:
+ *  const emitter = createEmitter();
+ *  const off = emitter.on('signalStart', (event) => {});
+ *
+ *  emitter.emit('signalStart', { type: 'signalStart' });
+ *  off();
+ *
+ * @param {Function} [onError]
+ * @returns {{ on: Function, off: Function, emit: Function, hasListeners: Function }}
+ */
+module.exports = function createEmitter (onError) {
+  var listeners = {};
+
+  function on (type, listener) {
+    listeners[type] = (listeners[type] || []).concat(listener);
+
+    return () => off(type, listener);
+  }
+
+  function off (type, listener) {
+    if (listeners[type]) {
+      listeners[type] = listeners[type].filter(item => item !== listener);
+    }
+  }
+
+  function hasListeners (type) {
+    return !!(listeners[type] && listeners[type].length) || !!(listeners['*'] && listeners['*'].length);
+  }
+
+  function emit (type, event) {
+    []
+      .concat(listeners[type] || [], listeners['*'] || [])
+      .forEach((listener) => {
+        try {
+          listener(event);
+        } catch (e) {
+          if (!onError) {
+            throw e;
+          }
+
+          onError(e, event);
+        }
+      });
+  }
+
+  return { on, off, emit, hasListeners };
+};
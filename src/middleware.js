@@ -1,23 +1,343 @@
 const appstate = require('./appstate');
+const createEmitter = require('./emitter');
+const devtools = require('./devtools');
+const replay = require('./replay');
+
+const CONCURRENCY_MODES = ['takeEvery', 'takeLatest', 'takeFirst', 'queue'];
 
 module.exports = function configureMiddleware (params = {}) {
   const {
     services = {},
+    signals = {},
     logError = console.error,
+    logWarning = console.warn,
     logSuccess = () => {},
+    devTools = false,
+    recorder = null,
+    argsConflict = 'warn',
+    validateSchema = null,
+    serializeCheck = 'fail',
+    errorRouting = 'output',
   } = params;
 
-  return function appstateMiddleware (store) {
+  // Opt-in DevTools integration, dispatched redux actions are annotated only when it is enabled
+  const connection = devtools.connect(devTools);
+  const options = { logWarning, argsConflict, validateSchema, serializeCheck, errorRouting, annotate: !!connection };
+
+  // Lifecycle events of all signals run by middleware
+  const emitter = createEmitter((e, event) => {
+    logWarning({
+      message: `State: Listener of "${event.type}" event failed with "${e.message}"`,
+      name: event.name,
+      path: event.path
+    }, null);
+  });
+
+  // Named signals analyzed and compiled once, so definition errors throw on startup
+  const registry = Object.keys(signals)
+    .reduce((compiled, name) => {
+      const entry = getRegistryEntry(name, signals[name]);
+
+      compiled[name] = Object.assign(entry, {
+        signal: observe(appstate.create(entry.actions, Object.assign({ name, transaction: entry.transaction, catch: entry.catch }, options)))
+      });
+      return compiled;
+    }, {});
+
+  function appstateMiddleware (store) {
+    if (connection) {
+      connection.init(store.getState());
+    }
+
+    // Every signal run is recorded and can be replayed later
+    const signalRecorder = recorder ? replay.createRecorder(store, recorder) : null;
+
+    if (signalRecorder) {
+      emitter.on('*', signalRecorder.listener);
+    }
+
+    // Runs of signals with concurrency policy by group name
+    const groups = {};
+
     return (next) => function signalExecutor (actions, args, ...rest) {
+      if (typeof actions === 'string') {
+        if (!registry.hasOwnProperty(actions)) {
+          throw new Error(`State: Signal "${actions}" is not registered`);
+        }
+
+        return scheduleSignal(registry[actions], args);
+      }
+
       if (!Array.isArray(actions)) {
         return next(actions, args, ...rest);
       }
 
-      const signal = appstate.create(actions);
+      return runSignal(observe(appstate.create(actions, options)), args);
+    };
+
+    function runSignal (signal, args) {
+      const handle = signal.run(store, services, args);
 
-      signal(store, services, args)
+      handle.promise
         .then(logSuccess)
-        .catch(logError);
-    };
+        .catch((e) => logError(e, handle.signal));
+
+      if (connection) {
+        const send = () => devtools.sendSignal(connection, handle.signal, store.getState());
+        handle.promise.then(send, send);
+      }
+
+      if (signalRecorder) {
+        signalRecorder.finish(handle);
+      }
+
+      return handle;
+    }
+
+    /**
+     * Run registered signal according to its concurrency policy.
+     * Signals of the same group share executing and queued runs.
+     * @param {{ signal: Function, concurrency: String, group: String }} entry
+     * @param {Object} args
+     * @returns {Object} signal handle
+     */
+    function scheduleSignal (entry, args) {
+      if (entry.concurrency === 'takeEvery') {
+        return runSignal(entry.signal, args);
+      }
+
+      const group = groups[entry.group] || (groups[entry.group] = { executing: [], queued: [] });
+
+      switch (entry.concurrency) {
+      case 'takeLatest': {
+        group.executing.forEach(handle => handle.cancel('superseded'));
+        group.queued.slice().forEach(handle => handle.cancel('superseded'));
+
+        return startInGroup(group, entry, args);
+      }
+      case 'takeFirst': {
+        if (group.executing.length || group.queued.length) {
+          return dropSignal(entry.signal, args);
+        }
+
+        return startInGroup(group, entry, args);
+      }
+      default: {
+        if (group.executing.length || group.queued.length) {
+          return queueSignal(group, entry, args);
+        }
+
+        return startInGroup(group, entry, args);
+      }
+      }
+    }
+
+    /**
+     * Run signal as executing run of the group, next queued run starts when it is finished
+     * @param {Object} group
+     * @param {Object} entry
+     * @param {Object} args
+     * @returns {Object}
+     */
+    function startInGroup (group, entry, args) {
+      const handle = runSignal(entry.signal, args);
+      const finish = () => {
+        group.executing = group.executing.filter(item => item !== handle);
+
+        if (!group.executing.length && group.queued.length) {
+          group.queued.shift().start();
+        }
+      };
+
+      group.executing.push(handle);
+      handle.promise.then(finish, finish);
+
+      return handle;
+    }
+
+    /**
+     * Create handle of signal run waiting in queue of the group.
+     * Queued run can be cancelled before its start, it is resolved as dropped run then.
+     * @param {Object} group
+     * @param {Object} entry
+     * @param {Object} args
+     * @returns {Object}
+     */
+    function queueSignal (group, entry, args) {
+      let started = null;
+      let settle = null;
+      const promise = new Promise((resolve, reject) => {
+        settle = { resolve, reject };
+      });
+      const handle = {
+        get id () {
+          return started ? started.id : null;
+        },
+        get signal () {
+          return started ? started.signal : null;
+        },
+        promise,
+        cancel (reason) {
+          if (started) {
+            return started.cancel(reason);
+          }
+
+          group.queued = group.queued.filter(item => item !== handle);
+          settle.resolve(reportDropped(entry.signal, args, reason));
+
+          return true;
+        },
+        get isExecuting () {
+          return started ? started.isExecuting : false;
+        },
+        get isQueued () {
+          return !started;
+        },
+        get path () {
+          return started ? started.path : null;
+        },
+        start () {
+          started = startInGroup(group, entry, args);
+          started.promise.then(settle.resolve, settle.reject);
+        }
+      };
+
+      // Failure is reported with logError, as for any other run
+      promise.catch(() => {});
+      group.queued.push(handle);
+
+      return handle;
+    }
+
+    /**
+     * Create handle of signal run dropped by takeFirst policy
+     * @param {Function} signal compiled signal
+     * @param {Object} args
+     * @returns {Object}
+     */
+    function dropSignal (signal, args) {
+      const dropped = reportDropped(signal, args, 'dropped');
+
+      return {
+        id: null,
+        signal: dropped,
+        promise: Promise.resolve(dropped),
+        cancel: () => false,
+        isExecuting: false,
+        isQueued: false,
+        path: null
+      };
+    }
+
+    /**
+     * Report run that was not started with logSuccess, as cancelled signal
+     * @param {Function} signal compiled signal
+     * @param {Object} args
+     * @param {*} reason
+     * @returns {Object} signal object of the run
+     */
+    function reportDropped (signal, args, reason) {
+      const dropped = createDroppedSignal(signal, args, reason);
+
+      logSuccess(dropped);
+
+      return dropped;
+    }
+  }
+
+  /**
+   * Forward lifecycle events of compiled signal to middleware listeners
+   * @param {Function} signal
+   * @returns {Function}
+   */
+  function observe (signal) {
+    signal.on('*', event => emitter.emit(event.type, event));
+
+    return signal;
+  }
+
+  /**
+   * Replay recording of registered signal
+   * @param {Object|String} recording
+   * @param {Redux} store with recorded initial state
+   * @returns {Promise<{ signal: Object, divergences: Array }>}
+   */
+  function replaySignal (recording, store) {
+    const name = typeof recording === 'string' ? JSON.parse(recording).signal : recording.signal;
+
+    if (!registry.hasOwnProperty(name)) {
+      throw new Error(`State: Signal "${name}" is not registered, only registered signals can be replayed`);
+    }
+
+    return replay.replay(registry[name].signal, recording, store, services);
+  }
+
+  appstateMiddleware.on = emitter.on;
+  appstateMiddleware.off = emitter.off;
+  appstateMiddleware.replay = replaySignal;
+
+  return appstateMiddleware;
+}
+
+/**
+ * Get registry entry from signal definition or signal options object
+ * @param {String} name
+ * @param {Array|{ actions: Array, concurrency: String, group: String, transaction: Boolean, catch: Array }} definition
+ * @returns {{ actions: Array, concurrency: String, group: String, transaction: Boolean, catch: Array|undefined }}
+ */
+function getRegistryEntry (name, definition) {
+  if (Array.isArray(definition)) {
+    return { actions: definition, concurrency: 'takeEvery', group: name, transaction: false };
+  }
+
+  const group = definition.group || null;
+  const concurrency = definition.concurrency || (group ? 'queue' : 'takeEvery');
+
+  if (CONCURRENCY_MODES.indexOf(concurrency) === -1) {
+    throw new Error(
+      `State: Unknown concurrency "${concurrency}" of signal "${name}", expected "${CONCURRENCY_MODES.join('", "')}"`
+    );
+  }
+
+  if (group && concurrency === 'takeEvery') {
+    throw new Error(`State: Signal "${name}" in group "${group}" should use "takeLatest", "takeFirst" or "queue" concurrency`);
+  }
+
+  return {
+    actions: definition.actions,
+    concurrency,
+    group: group || name,
+    transaction: !!definition.transaction,
+    catch: definition.catch
+  };
+}
+
+/**
+ * Create signal object of run, that was dropped or cancelled before its start
+ * @param {Function} signal compiled signal
+ * @param {Object} args
+ * @param {*} reason
+ * @returns {Object}
+ */
+function createDroppedSignal (signal, args, reason) {
+  const time = Date.now();
+
+  return {
+    id: null,
+    name: signal.signalName,
+    args: args || {},
+    asyncActionResults: [],
+    branches: signal.branches,
+    executions: {},
+    warnings: [],
+    isExecuting: false,
+    isCancelled: true,
+    cancelReason: typeof reason === 'undefined' ? null : reason,
+    error: null,
+    isRolledBack: false,
+    currentPath: null,
+    start: time,
+    end: time,
+    duration: 0
   };
 }
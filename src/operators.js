@@ -0,0 +1,164 @@
+module.exports = {
+  /**
+   * Create action that branches on state selector.
+   * Selector is called with redux state and signal args, truthy result goes to "true" output.
+   *
+   * @example:
+   *  [when(state => state.user.isLoggedIn), { true: [showProfile], false: [showLogin] }]
+   *
+   * @param {Function} selector (state, args) => Boolean
+   * @returns {Function} action with "true" and "false" outputs
+   */
+  when (selector) {
+    return createOperator(`when(${selector.name || 'selector'})`, ({ args, getState, output }) => {
+      output(selector(getState(), args) ? 'true' : 'false');
+    }, { outputs: ['true', 'false'] });
+  },
+
+  /**
+   * Create action that branches on value of signal arg.
+   * Value is converted to string and used as output name, values without output go to "otherwise".
+   *
+   * @example:
+   *  [equals('user.role'), { admin: [showDashboard], guest: [showLogin], otherwise: [showProfile] }]
+   *
+   * @param {String} path key of signal arg, nested keys are separated by dot
+   * @returns {Function}
+   */
+  equals (path) {
+    return createOperator(`equals(${path})`, ({ args, output, outputNames }) => {
+      var value = String(getArg(args, path));
+
+      output(outputNames.indexOf(value) === -1 ? 'otherwise' : value);
+    });
+  },
+
+  /**
+   * Create action that waits before next action.
+   * It holds the branch in sync position and runs in parallel in async group.
+   *
+   * @example:
+   *  [showMessage, wait(3000), hideMessage]
+   *
+   * @param {Number} ms
+   * @returns {Function}
+   */
+  wait (ms) {
+    return createOperator(`wait(${ms})`, ({ abortSignal }) => {
+      return new Promise((resolve) => {
+        var timer = setTimeout(resolve, ms);
+
+        abortSignal.addEventListener('abort', () => clearTimeout(timer));
+      });
+    });
+  },
+
+  /**
+   * Create action that sets signal arg.
+   * Function value is called with signal args and redux state to compute the value.
+   *
+   * @example:
+   *  set('page', 1);
+   *  set('total', args => args.items.length);
+   *
+   * @param {String} key
+   * @param {*|Function} value
+   * @returns {Function}
+   */
+  set (key, value) {
+    return createOperator(`set(${key})`, ({ args, getState, output }) => {
+      output({ [key]: typeof value === 'function' ? value(args, getState()) : value });
+    }, { provides: { '*': { [key]: 'any' } } });
+  },
+
+  /**
+   * Create sync action that dispatches redux action.
+   * Action creator is called with signal args and redux state, plain object is dispatched as is.
+   *
+   * @example:
+   *  dispatchAction({ type: 'RESET_FORM' });
+   *  dispatchAction(args => ({ type: 'SET_USER', user: args.user }));
+   *
+   * @param {Function|Object} creator
+   * @returns {Function}
+   */
+  dispatchAction (creator) {
+    var name = typeof creator === 'function' ? creator.name || 'creator' : creator.type;
+
+    return createOperator(`dispatchAction(${name})`, ({ args, getState, dispatch }) => {
+      if (!dispatch) {
+        throw new Error(`State: Operator "dispatchAction(${name})" should be sync action, async actions can not dispatch`);
+      }
+
+      dispatch(typeof creator === 'function' ? creator(args, getState()) : creator);
+    });
+  },
+
+  /**
+   * Create action that lets through only the last of calls made within the time.
+   * Every call waits for `ms`, earlier waiting call goes to "discard" output when new one comes,
+   * the last one goes to "continue" output. Calls are shared by all signals using the action.
+   *
+   * @example:
+   *  const search = [debounce(300), { continue: [[fetchResults]], discard: [] }];
+   *
+   * @param {Number} ms
+   * @returns {Function} action with "continue" and "discard" outputs
+   */
+  debounce (ms) {
+    var pending = null;
+
+    return createOperator(`debounce(${ms})`, ({ abortSignal }) => {
+      if (pending) {
+        clearTimeout(pending.timer);
+        pending.resolve({ path: 'discard' });
+      }
+
+      return new Promise((resolve) => {
+        var call = {
+          resolve,
+          timer: setTimeout(() => {
+            pending = null;
+            resolve({ path: 'continue' });
+          }, ms)
+        };
+
+        pending = call;
+
+        abortSignal.addEventListener('abort', () => {
+          clearTimeout(call.timer);
+
+          if (pending === call) {
+            pending = null;
+          }
+        });
+      });
+    }, { outputs: ['continue', 'discard'] });
+  }
+};
+
+/**
+ * Name operator action and attach its declarations.
+ * Name is shown in execution tree, errors and diagrams instead of inner function name.
+ * @param {String} name
+ * @param {Function} action
+ * @param {Object} [declarations] outputs, provides and other properties of action function
+ * @returns {Function}
+ */
+function createOperator (name, action, declarations) {
+  Object.defineProperty(action, 'name', { value: name });
+
+  return Object.assign(action, declarations);
+}
+
+/**
+ * Get signal arg by key path
+ * @param {Object} args
+ * @param {String} path
+ * @returns {*}
+ */
+function getArg (args, path) {
+  return path.split('.').reduce((value, key) => {
+    return value === null || typeof value === 'undefined' ? value : value[key];
+  }, args);
+}
@@ -0,0 +1,293 @@
+const RECORDING_VERSION = 1;
+
+module.exports = {
+  /**
+   * Create recorder of signal runs for one store.
+   * Recorder listens lifecycle events to get initial state and dispatched redux actions,
+   * finished run is turned to recording and passed to `record` callback.
+   *
+   * @example:
+   *  const recorder = replay.createRecorder(store, recording => recordings.push(recording));
+   *  const off = signal.on('*', recorder.listener);
+   *
+   *  recorder.finish(signal.run(store));
+   *
+   * @param {Redux} store
+   * @param {Function} record
+   * @returns {{ listener: Function, finish: Function }}
+   */
+  createRecorder (store, record) {
+    var pending = {};
+
+    function listener (event) {
+      if (event.type === 'signalStart') {
+        pending[event.signalId] = { args: event.args, state: store.getState(), dispatched: [] };
+      }
+
+      if (event.type === 'actionDispatch' && pending[event.signalId]) {
+        pending[event.signalId].dispatched.push({ path: event.path, action: event.reduxAction });
+      }
+    }
+
+    function finish (handle) {
+      var save = () => {
+        var start = pending[handle.id];
+
+        if (start) {
+          delete pending[handle.id];
+          record(createRecording(handle.signal, start));
+        }
+      };
+
+      handle.promise.then(save, save);
+    }
+
+    return { listener, finish };
+  },
+
+  /**
+   * Replay recorded signal run.
+   * Async actions are not called, their recorded results are used instead,
+   * so the run is deterministic. Store should have recorded initial state.
+   * Async action without recorded result fails the replay.
+   * Sync actions are called, so promise returning sync action makes the replay not deterministic.
+   *
+   * Resolved with replayed signal and list of divergences from the recording:
+   * - "state", initial state of the store is different
+   * - "path", action took different output path or was not executed in one of the runs
+   * - "dispatch", action dispatched different redux actions
+   * - "result", async action has no recorded result or sync action returned promise
+   * - "error", signal failed with different error
+   *
+   * @param {Function} signal compiled signal
+   * @param {Object|String} recording recording object or its JSON
+   * @param {Redux} store
+   * @param {Object} [services]
+   * @returns {Promise<{ signal: Object, divergences: Array }>}
+   */
+  replay (signal, recording, store, services = {}) {
+    if (typeof recording === 'string') {
+      recording = JSON.parse(recording);
+    }
+
+    if (recording.version !== RECORDING_VERSION) {
+      throw new Error(`State: Recording version ${recording.version} is not supported`);
+    }
+
+    var state = store.getState();
+    var dispatched = [];
+    var off = signal.on('actionDispatch', event => dispatched.push(event));
+
+    var handle = signal.run(store, services, Object.assign({}, recording.args), recording.asyncActionResults, {
+      strict: true
+    });
+
+    function compare () {
+      off();
+
+      var replayed = handle.signal;
+      var replayedDispatched = dispatched
+        .filter(event => event.signalId === handle.id)
+        .map(event => ({ path: event.path, action: event.reduxAction }));
+      var replayedRecording = createRecording(replayed, { args: null, state, dispatched: replayedDispatched });
+
+      return {
+        signal: replayed,
+        divergences: [].concat(
+          compareStates(recording.state, state),
+          compareResults(recording.asyncActionResults, replayed),
+          comparePaths(recording.executions, replayedRecording.executions),
+          compareDispatched(recording.dispatched, replayedDispatched),
+          compareErrors(recording.error, replayed.error)
+        )
+      };
+    }
+
+    return handle.promise.then(compare, compare);
+  }
+};
+
+/**
+ * Create JSON serializable recording of finished signal run
+ * @param {Object} signal
+ * @param {{ args: Object, state: *, dispatched: Array }} start
+ * @returns {{
+ *    version: Number, signal: String|null, args: Object, state: *,
+ *    asyncActionResults: Array, dispatched: Array, executions: Object, error: Object|null
+ *  }}
+ */
+function createRecording (signal, start) {
+  var executions = Object.keys(signal.executions).reduce((result, key) => {
+    var execution = signal.executions[key];
+
+    if (!execution.isCancelled) {
+      result[key] = { name: execution.name, path: execution.path, outputPath: execution.outputPath };
+    }
+
+    return result;
+  }, {});
+
+  return {
+    version: RECORDING_VERSION,
+    signal: signal.name,
+    args: start.args,
+    state: start.state,
+    asyncActionResults: signal.asyncActionResults,
+    dispatched: start.dispatched,
+    executions,
+    error: signal.error
+  };
+}
+
+/**
+ * Compare initial state of the store with recorded one
+ * @param {*} expected
+ * @param {*} actual
+ * @returns {Array}
+ */
+function compareStates (expected, actual) {
+  if (isEqual(expected, actual)) {
+    return [];
+  }
+
+  return [{
+    type: 'state',
+    path: null,
+    message: 'Initial state of the store is different from recorded one',
+    expected,
+    actual
+  }];
+}
+
+/**
+ * Find async actions of replayed signal without recorded results
+ * and promise returning sync actions, their results are not recorded and they are called on replay
+ * @param {Array} results recorded async action results
+ * @param {Object} signal replayed signal
+ * @returns {Array}
+ */
+function compareResults (results, signal) {
+  var executions = Object.keys(signal.executions).map(key => signal.executions[key]);
+  var missing = executions
+    .filter(execution => execution.isAsync && !results.some(result => isEqual(result.outputPath, execution.path)))
+    .map(execution => ({
+      type: 'result',
+      path: execution.path,
+      message: `Action "${execution.name}" has no recorded result`,
+      expected: null,
+      actual: null
+    }));
+  var called = executions
+    .filter(execution => !execution.isAsync && execution.isPromise)
+    .map(execution => ({
+      type: 'result',
+      path: execution.path,
+      message: `Sync action "${execution.name}" returned promise, ` +
+        'it was called on replay instead of recorded result',
+      expected: null,
+      actual: null
+    }));
+
+  return missing.concat(called);
+}
+
+/**
+ * Compare output paths taken by actions
+ * @param {Object} expected recorded executions
+ * @param {Object} actual replayed executions
+ * @returns {Array}
+ */
+function comparePaths (expected, actual) {
+  return Object.keys(Object.assign({}, expected, actual))
+    .filter(key => !expected[key] || !actual[key] || expected[key].outputPath !== actual[key].outputPath)
+    .map((key) => {
+      var execution = expected[key] || actual[key];
+      var message;
+
+      if (!actual[key]) {
+        message = `Action "${execution.name}" was not executed`;
+      } else if (!expected[key]) {
+        message = `Action "${execution.name}" was not executed in recording`;
+      } else {
+        message = `Action "${execution.name}" took output "${actual[key].outputPath}" instead of "${expected[key].outputPath}"`;
+      }
+
+      return {
+        type: 'path',
+        path: execution.path,
+        message,
+        expected: expected[key] ? expected[key].outputPath : null,
+        actual: actual[key] ? actual[key].outputPath : null
+      };
+    });
+}
+
+/**
+ * Compare redux actions dispatched by every action of signal.
+ * Actions are grouped by path, so order of parallel branches does not matter.
+ * @param {Array} expected
+ * @param {Array} actual
+ * @returns {Array}
+ */
+function compareDispatched (expected, actual) {
+  var expectedByPath = groupByPath(expected);
+  var actualByPath = groupByPath(actual);
+
+  return Object.keys(Object.assign({}, expectedByPath, actualByPath))
+    .filter(key => !isEqual(expectedByPath[key] || [], actualByPath[key] || []))
+    .map((key) => {
+      var path = (expectedByPath[key] ? expected : actual).find(item => item.path.join('.') === key).path;
+
+      return {
+        type: 'dispatch',
+        path,
+        message: `Action at path [${path}] dispatched different redux actions`,
+        expected: expectedByPath[key] || [],
+        actual: actualByPath[key] || []
+      };
+    });
+}
+
+/**
+ * Compare errors of recorded and replayed signals
+ * @param {Object|null} expected
+ * @param {Object|null} actual
+ * @returns {Array}
+ */
+function compareErrors (expected, actual) {
+  if (isEqual(expected, actual)) {
+    return [];
+  }
+
+  return [{
+    type: 'error',
+    path: null,
+    message: actual ? `Signal failed with "${actual.message}"` : 'Signal did not fail',
+    expected,
+    actual
+  }];
+}
+
+/**
+ * Group dispatched redux actions by key of action path
+ * @param {Array<{ path: Array, action: Object }>} dispatched
+ * @returns {Object}
+ */
+function groupByPath (dispatched) {
+  return dispatched.reduce((groups, item) => {
+    var key = item.path.join('.');
+
+    groups[key] = (groups[key] || []).concat(item.action);
+    return groups;
+  }, {});
+}
+
+/**
+ * Compare JSON representation of values
+ * @param {*} a
+ * @param {*} b
+ * @returns {Boolean}
+ */
+function isEqual (a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,464 @@
+const TYPES = ['string', 'number', 'boolean', 'object', 'array', 'function', 'any'];
+
+module.exports = {
+  /**
+   * Check value against schema.
+   * Built-in schema is a plain object, that maps keys to type names ("string", "number?" for optional key),
+   * validator functions or nested schemas. Other schemas are checked by validateSchema hook.
+   *
+   * @example:
+   *  schema.check({ id: 'number', user: { name: 'string' }, role: 'string?' }, { id: '1' });
+   *  // ['"id" should be number, got string', '"user" is required']
+   *
+   * @param {Object} schema
+   * @param {*} value
+   * @param {Function} [validateSchema] hook for external schemas, (schema, value) => messages
+   * @returns {Array<String>} problems, empty if value is valid
+   */
+  check (schema, value, validateSchema) {
+    if (!isBuiltIn(schema)) {
+      if (!validateSchema) {
+        return ['schema is not built-in and validateSchema hook is not passed'];
+      }
+
+      return normalizeProblems(validateSchema(schema, value));
+    }
+
+    return checkObject(schema, value, '');
+  },
+
+  /**
+   * Analyze schemas of signal tree.
+   * Required args of every action are checked against keys guaranteed by signal args schema
+   * and `provides` schemas of previous actions. Check stops being strict after action without
+   * built-in `provides` schema, because its outputs are unknown.
+   * @param {{ actions: Array, branches: Array }} tree static tree
+   * @param {Object} options
+   * @param {Object} [options.args] schema of initial signal args
+   * @param {Function} [options.validateSchema]
+   * @returns {Array<{ severity: String, message: String, path: Array, action: String|null }>}
+   */
+  analyze (tree, options) {
+    var diagnostics = [];
+    var context = { actions: tree.actions, validateSchema: options.validateSchema, diagnostics };
+    var known = { keys: {}, isOpen: true };
+
+    if (options.args) {
+      checkDeclaration(options.args, 'args schema of signal', [], null, context);
+      known = addKnown(known, isBuiltIn(options.args) ? options.args : null, false);
+    }
+
+    analyzeSequence(tree.branches, known, context);
+
+    return diagnostics;
+  },
+
+  /**
+   * Get schemas of output args, common `*` schema and schema of output path
+   * @param {Object} [provides]
+   * @param {String} [path]
+   * @returns {Array<Object>}
+   */
+  getOutputSchemas (provides, path) {
+    if (!provides) {
+      return [];
+    }
+
+    return [provides['*'], path ? provides[path] : null].filter(schema => !!schema);
+  }
+};
+
+/**
+ * Check that schema is built-in plain object schema
+ * @param {*} schema
+ * @returns {Boolean}
+ */
+function isBuiltIn (schema) {
+  return isPlainObject(schema) && Object.keys(schema).every((key) => {
+    var descriptor = schema[key];
+    return typeof descriptor === 'string' || typeof descriptor === 'function' || isBuiltIn(descriptor);
+  });
+}
+
+/**
+ * Check object value against built-in schema
+ * @param {Object} schema
+ * @param {*} value
+ * @param {String} prefix key path of nested schema
+ * @returns {Array<String>}
+ */
+function checkObject (schema, value, prefix) {
+  if (!isPlainObject(value)) {
+    return [`${prefix ? `"${prefix}"` : 'args'} should be object, got ${getType(value)}`];
+  }
+
+  return Object.keys(schema).reduce((problems, key) => {
+    return problems.concat(checkValue(schema[key], value[key], prefix ? `${prefix}.${key}` : key));
+  }, []);
+}
+
+/**
+ * Check value of one key against its descriptor
+ * @param {String|Function|Object} descriptor
+ * @param {*} value
+ * @param {String} key
+ * @returns {Array<String>}
+ */
+function checkValue (descriptor, value, key) {
+  if (typeof descriptor === 'function') {
+    var result = descriptor(value);
+
+    if (result === true || typeof result === 'undefined') {
+      return [];
+    }
+
+    return [typeof result === 'string' ? `"${key}" ${result}` : `"${key}" is invalid`];
+  }
+
+  if (isPlainObject(descriptor)) {
+    return typeof value === 'undefined' ? [`"${key}" is required`] : checkObject(descriptor, value, key);
+  }
+
+  var { type, isOptional } = parseType(descriptor);
+
+  if (typeof value === 'undefined') {
+    return isOptional ? [] : [`"${key}" is required`];
+  }
+
+  if (type !== 'any' && getType(value) !== type) {
+    return [`"${key}" should be ${type}, got ${getType(value)}`];
+  }
+
+  return [];
+}
+
+/**
+ * Parse type name of built-in schema
+ * @param {String} descriptor type name, optional with "?" suffix
+ * @returns {{ type: String, isOptional: Boolean }}
+ */
+function parseType (descriptor) {
+  var isOptional = descriptor.charAt(descriptor.length - 1) === '?';
+
+  return { type: isOptional ? descriptor.slice(0, -1) : descriptor, isOptional };
+}
+
+/**
+ * Get type name of value as used in schemas
+ * @param {*} value
+ * @returns {String}
+ */
+function getType (value) {
+  if (value === null) {
+    return 'null';
+  }
+
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+
+  return typeof value;
+}
+
+/**
+ * Convert result of external validator to list of problems
+ * @param {Array|String|Boolean|undefined} result
+ * @returns {Array<String>}
+ */
+function normalizeProblems (result) {
+  if (Array.isArray(result)) {
+    return result.map(String);
+  }
+
+  if (typeof result === 'string') {
+    return [result];
+  }
+
+  return result === false ? ['value is invalid'] : [];
+}
+
+/**
+ * Analyze sequence of branches
+ * @param {Array} branches
+ * @param {{ keys: Object, isOpen: Boolean }} known args keys guaranteed before the sequence
+ * @param {Object} context
+ * @returns {{ keys: Object, isOpen: Boolean }} known args keys after the sequence
+ */
+function analyzeSequence (branches, known, context) {
+  return branches.reduce((current, branch) => {
+    return Array.isArray(branch) ?
+      analyzeGroup(branch, current, context) :
+      analyzeAction(branch, current, context);
+  }, known);
+}
+
+/**
+ * Analyze parallel group, args of every lane are merged after the group.
+ * Lane is an action or a sequence of actions.
+ * @param {Array} branch
+ * @param {Object} known
+ * @param {Object} context
+ * @returns {Object}
+ */
+function analyzeGroup (branch, known, context) {
+  return branch
+    .map(lane => Array.isArray(lane) ? analyzeSequence(lane, known, context) : analyzeAction(lane, known, context))
+    .reduce((result, lane) => ({
+      keys: Object.assign(result.keys, lane.keys),
+      isOpen: result.isOpen || lane.isOpen
+    }), { keys: Object.assign({}, known.keys), isOpen: known.isOpen });
+}
+
+/**
+ * Analyze schemas of action and its output branches
+ * @param {Object} action static tree branch
+ * @param {Object} known
+ * @param {Object} context
+ * @returns {Object}
+ */
+function analyzeAction (action, known, context) {
+  if (action.isSubSignal) {
+    return analyzeSubSignal(action, known, context);
+  }
+
+  var actionFunc = context.actions[action.actionIndex];
+  var { requires, provides } = actionFunc;
+
+  if (requires) {
+    checkDeclaration(requires, `requires schema of action "${action.name}"`, action.path, action.name, context);
+    checkRequired(requires, known, action, context);
+  }
+
+  if (provides) {
+    checkProvides(provides, action, context);
+  }
+
+  var outputs = action.outputNames
+    .map(output => analyzeSequence(action.outputs[output], addOutput(known, provides, output), context));
+  var isOutputRequired = action.outputNames.some(output => output !== 'error' && output !== 'timeout');
+
+  if (!isOutputRequired) {
+    outputs.push(addOutput(known, provides, null));
+  }
+
+  return outputs.reduce((result, output) => intersectKnown(result, output));
+}
+
+/**
+ * Analyze actions of sub-signal and its output branches.
+ * Sub-signal can end without output path, so keys of its output branches are not guaranteed after it.
+ * @param {Object} action sub-signal branch of static tree
+ * @param {Object} known
+ * @param {Object} context
+ * @returns {Object}
+ */
+function analyzeSubSignal (action, known, context) {
+  var nested = analyzeSequence(action.branches, known, context);
+
+  return action.outputNames
+    .map(output => analyzeSequence(action.outputs[output], nested, context))
+    .reduce((result, output) => intersectKnown(result, output), nested);
+}
+
+/**
+ * Report required args that are not guaranteed by previous actions
+ * @param {Object} requires
+ * @param {Object} known
+ * @param {Object} action
+ * @param {Object} context
+ */
+function checkRequired (requires, known, action, context) {
+  if (!isBuiltIn(requires)) {
+    return;
+  }
+
+  Object.keys(requires).forEach((key) => {
+    var descriptor = requires[key];
+
+    if (typeof descriptor === 'function') {
+      return;
+    }
+
+    var type = typeof descriptor === 'string' ? parseType(descriptor) : { type: 'object', isOptional: false };
+
+    if (type.isOptional) {
+      return;
+    }
+
+    if (!known.keys.hasOwnProperty(key)) {
+      if (!known.isOpen) {
+        report(
+          context, 'error', `Action "${action.name}" requires arg "${key}", that is not provided by signal args or previous actions`,
+          action.path, action.name
+        );
+      }
+
+      return;
+    }
+
+    if (type.type !== 'any' && known.keys[key] !== 'any' && known.keys[key] !== type.type) {
+      report(
+        context, 'error', `Action "${action.name}" requires arg "${key}" of type "${type.type}", but it is provided as "${known.keys[key]}"`,
+        action.path, action.name
+      );
+    }
+  });
+}
+
+/**
+ * Check provides schemas of action outputs
+ * @param {Object} provides
+ * @param {Object} action
+ * @param {Object} context
+ */
+function checkProvides (provides, action, context) {
+  if (!isPlainObject(provides)) {
+    report(
+      context, 'error', `Action "${action.name}" provides should be object of schemas by output path`,
+      action.path, action.name
+    );
+    return;
+  }
+
+  Object.keys(provides).forEach((output) => {
+    if (output !== '*' && action.outputNames.indexOf(output) === -1) {
+      report(
+        context, 'warning', `Action "${action.name}" provides schema of output "${output}", that is not in outputs object`,
+        action.path, action.name
+      );
+    }
+
+    checkDeclaration(provides[output], `provides schema of action "${action.name}"`, action.path, action.name, context);
+  });
+}
+
+/**
+ * Check that schema uses known types or can be checked by validateSchema hook
+ * @param {*} schema
+ * @param {String} description
+ * @param {Array} path
+ * @param {String|null} name
+ * @param {Object} context
+ */
+function checkDeclaration (schema, description, path, name, context) {
+  if (!isBuiltIn(schema)) {
+    if (!context.validateSchema) {
+      report(context, 'error', `Unknown ${description}, pass validateSchema option to check external schemas`, path, name);
+    }
+
+    return;
+  }
+
+  getTypeNames(schema, '').forEach((item) => {
+    if (TYPES.indexOf(parseType(item.type).type) === -1) {
+      report(context, 'error', `Unknown type "${item.type}" of "${item.key}" in ${description}`, path, name);
+    }
+  });
+}
+
+/**
+ * Get all type names of built-in schema with their key paths
+ * @param {Object} schema
+ * @param {String} prefix
+ * @returns {Array<{ key: String, type: String }>}
+ */
+function getTypeNames (schema, prefix) {
+  return Object.keys(schema).reduce((types, key) => {
+    var descriptor = schema[key];
+    var path = prefix ? `${prefix}.${key}` : key;
+
+    if (typeof descriptor === 'string') {
+      return types.concat({ key: path, type: descriptor });
+    }
+
+    return isPlainObject(descriptor) ? types.concat(getTypeNames(descriptor, path)) : types;
+  }, []);
+}
+
+/**
+ * Get known args keys after action output
+ * @param {Object} known
+ * @param {Object} [provides]
+ * @param {String|null} output
+ * @returns {Object}
+ */
+function addOutput (known, provides, output) {
+  if (!provides || !isPlainObject(provides)) {
+    return { keys: Object.assign({}, known.keys), isOpen: true };
+  }
+
+  return module.exports.getOutputSchemas(provides, output)
+    .reduce((result, schema) => addKnown(result, isBuiltIn(schema) ? schema : null, result.isOpen), {
+      keys: Object.assign({}, known.keys),
+      isOpen: known.isOpen
+    });
+}
+
+/**
+ * Add keys of built-in schema to known args keys
+ * @param {Object} known
+ * @param {Object|null} schema null if keys of schema are unknown
+ * @param {Boolean} isOpen
+ * @returns {Object}
+ */
+function addKnown (known, schema, isOpen) {
+  if (!schema) {
+    return { keys: Object.assign({}, known.keys), isOpen: true };
+  }
+
+  var keys = Object.keys(schema).reduce((result, key) => {
+    var descriptor = schema[key];
+
+    if (typeof descriptor === 'string') {
+      var type = parseType(descriptor);
+
+      if (!type.isOptional) {
+        result[key] = type.type;
+      }
+    } else {
+      result[key] = isPlainObject(descriptor) ? 'object' : 'any';
+    }
+
+    return result;
+  }, Object.assign({}, known.keys));
+
+  return { keys, isOpen };
+}
+
+/**
+ * Keep only keys guaranteed by both branches
+ * @param {Object} first
+ * @param {Object} second
+ * @returns {Object}
+ */
+function intersectKnown (first, second) {
+  var keys = Object.keys(first.keys)
+    .filter(key => second.keys.hasOwnProperty(key))
+    .reduce((result, key) => {
+      result[key] = first.keys[key] === second.keys[key] ? first.keys[key] : 'any';
+      return result;
+    }, {});
+
+  return { keys, isOpen: first.isOpen || second.isOpen };
+}
+
+/**
+ * Add diagnostic
+ * @param {Object} context
+ * @param {String} severity
+ * @param {String} message
+ * @param {Array} path
+ * @param {String|null} action
+ */
+function report (context, severity, message, path, action) {
+  context.diagnostics.push({ severity, message, path, action });
+}
+
+/**
+ * Check that value is plain object
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isPlainObject (value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
@@ -0,0 +1,103 @@
+module.exports = {
+  /**
+   * Find values that do not survive JSON round trip, so they break recording and replay of signals.
+   * Only plain objects, arrays, strings, finite numbers, booleans and null are serializable.
+   *
+   * @example:
+   *  serializable.check({ user: { created: new Date() }, items: [undefined], onDone () {} });
+   *  // ['"user.created" is Date', '"items[0]" is undefined', '"onDone" is function']
+   *
+   * @param {*} value
+   * @returns {Array<String>} problems with key path and value type, empty if value is serializable
+   */
+  check (value) {
+    return checkValue(value, '', []);
+  }
+};
+
+/**
+ * Check value and its nested values
+ * @param {*} value
+ * @param {String} path key path of the value
+ * @param {Array} parents objects the value is nested in, to find circular references
+ * @returns {Array<String>}
+ */
+function checkValue (value, path, parents) {
+  var type = getUnserializableType(value);
+
+  if (type) {
+    return [`${describePath(path)} is ${type}`];
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return [];
+  }
+
+  if (parents.indexOf(value) !== -1) {
+    return [`${describePath(path)} is circular reference`];
+  }
+
+  var nested = parents.concat([value]);
+
+  if (Array.isArray(value)) {
+    return value.reduce((problems, item, index) => {
+      return problems.concat(checkValue(item, `${path}[${index}]`, nested));
+    }, []);
+  }
+
+  return Object.keys(value).reduce((problems, key) => {
+    return problems.concat(checkValue(value[key], path ? `${path}.${key}` : key, nested));
+  }, []);
+}
+
+/**
+ * Get type of value that can not be serialized
+ * @param {*} value
+ * @returns {String|null} null for serializable types
+ */
+function getUnserializableType (value) {
+  switch (typeof value) {
+  case 'undefined':
+  case 'function':
+  case 'symbol':
+  case 'bigint':
+    return typeof value;
+  case 'number':
+    return isFinite(value) ? null : String(value);
+  case 'object':
+    return value === null || Array.isArray(value) || isPlainObject(value) ? null : getClassName(value);
+  default:
+    return null;
+  }
+}
+
+/**
+ * Check that object is created by object literal or Object.create(null)
+ * @param {Object} value
+ * @returns {Boolean}
+ */
+function isPlainObject (value) {
+  var proto = Object.getPrototypeOf(value);
+
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Get class name of object
+ * @param {Object} value
+ * @returns {String}
+ */
+function getClassName (value) {
+  var constructor = value.constructor;
+
+  return constructor && constructor.name ? constructor.name : 'class instance';
+}
+
+/**
+ * Describe key path for problem message
+ * @param {String} path
+ * @returns {String}
+ */
+function describePath (path) {
+  return path ? `"${path}"` : 'value';
+}
@@ -0,0 +1,266 @@
+const assert = require('assert');
+const appstate = require('./appstate');
+
+module.exports = {
+  /**
+   * Run signal in isolation with fake store and mocked async actions.
+   * Mocks are results of async actions by action name or path in signal definition,
+   * async actions without mocks are called with passed services.
+   *
+   * @example:
+   *  testing.runSignal([checkUser, [fetchUser, { success: [setUser], error: [showError] }]], {
+   *    args: { id: 1 },
+   *    state: { user: null },
+   *    mocks: {
+   *      fetchUser: { path: 'success', args: { user: 'John' } }
+   *    }
+   *  }).then((result) => {
+   *    result.assertPath('fetchUser', 'success');
+   *    result.assertDispatched(['SET_USER']);
+   *    result.assertArgs({ user: 'John' });
+   *  });
+   *
+   * @param {Array|Function} actions signal definition or compiled signal
+   * @param {Object} [options]
+   * @param {String} [options.name] signal name, if signal definition passed
+   * @param {Object} [options.args] initial signal args
+   * @param {*} [options.state] initial state of fake store
+   * @param {Function} [options.reducer] reducer of fake store, state is not changed without it
+   * @param {Object} [options.services]
+   * @param {Object} [options.mocks] results of async actions by name or path, `{ path, args }` or `{ error }`
+   * @returns {Promise<Object>} resolved with result object, even if signal failed
+   */
+  runSignal (actions, options = {}) {
+    var {
+      args = {},
+      state = {},
+      reducer = null,
+      services = {},
+      mocks = {}
+    } = options;
+
+    var signal = typeof actions === 'function' ? actions : appstate.create(actions, { name: options.name });
+    var store = createFakeStore(state, reducer);
+    var handle = signal.run(store, services, args, createMockedResults(signal.branches, mocks));
+
+    return handle.promise
+      .then(() => null, e => e)
+      .then(error => createResult(handle.signal, store, error));
+  },
+
+  createFakeStore
+};
+
+/**
+ * Create fake redux store.
+ * Every dispatched action is saved to `actions`, state is changed only if reducer passed.
+ * @param {*} [state]
+ * @param {Function} [reducer]
+ * @returns {{ actions: Array, getState: Function, dispatch: Function, subscribe: Function }}
+ */
+function createFakeStore (state = {}, reducer = null) {
+  var actions = [];
+  var listeners = [];
+
+  return {
+    actions,
+    getState () {
+      return state;
+    },
+    dispatch (action) {
+      actions.push(action);
+
+      if (reducer) {
+        state = reducer(state, action);
+      }
+
+      listeners.forEach(listener => listener());
+
+      return action;
+    },
+    subscribe (listener) {
+      listeners.push(listener);
+
+      return () => {
+        listeners = listeners.filter(item => item !== listener);
+      };
+    }
+  };
+}
+
+/**
+ * Convert mocks to async action results of the signal tree.
+ * Mock is the result of every attempt, so retried action is not called for the next attempts.
+ * @param {Array} branches static tree
+ * @param {Object} mocks
+ * @returns {Array}
+ */
+function createMockedResults (branches, mocks) {
+  return getAsyncActions(branches)
+    .filter(action => mocks.hasOwnProperty(action.key) || mocks.hasOwnProperty(action.name))
+    .reduce((results, action) => {
+      var mock = mocks.hasOwnProperty(action.key) ? mocks[action.key] : mocks[action.name];
+      var snippet = mock.error ?
+        { error: serializeError(mock.error) } :
+        { path: mock.path, args: mock.args || {} };
+      var attempts = action.retry ? action.retry.attempts : 1;
+
+      for (var attempt = 1; attempt <= attempts; attempt++) {
+        results.push(Object.assign({ outputPath: action.path, attempt }, snippet));
+      }
+
+      return results;
+    }, []);
+}
+
+/**
+ * Get all async actions of static tree
+ * @param {Array} branches
+ * @returns {Array}
+ */
+function getAsyncActions (branches) {
+  return branches.reduce((actions, branch) => {
+    if (Array.isArray(branch)) {
+      return actions.concat(getAsyncActions(branch));
+    }
+
+    var outputs = branch.outputNames
+      .reduce((result, name) => result.concat(getAsyncActions(branch.outputs[name])), []);
+
+    if (branch.isSubSignal) {
+      return actions.concat(getAsyncActions(branch.branches), outputs);
+    }
+
+    return actions.concat(branch.isAsync ? branch : [], outputs);
+  }, []);
+}
+
+/**
+ * Create result of signal run with assertion helpers
+ * @param {Object} signal
+ * @param {Object} store fake store
+ * @param {Error|null} error
+ * @returns {Object}
+ */
+function createResult (signal, store, error) {
+  var result = {
+    signal,
+    error,
+    args: signal.args,
+    state: store.getState(),
+    dispatched: store.actions,
+
+    /**
+     * Get output path taken by action.
+     * Use `assertNotExecuted` to tell action that was not executed from action without output.
+     * @param {String|Array} target action name, path or key of the path
+     * @returns {String|null} null if action did not take output or was not executed
+     */
+    outputPath (target) {
+      var executions = findExecutions(signal, target);
+
+      return executions.length ? executions[0].outputPath : null;
+    },
+
+    /**
+     * Assert that action took output path
+     * @param {String|Array} target action name, path or key of the path
+     * @param {String} outputPath
+     * @returns {Object} result
+     */
+    assertPath (target, outputPath) {
+      var executions = findExecutions(signal, target);
+      var taken = executions.map(execution => execution.outputPath);
+
+      assert(executions.length, `Expected action ${describeTarget(target)} to take output "${outputPath}", but it was not executed`);
+      assert(
+        taken.indexOf(outputPath) !== -1,
+        `Expected action ${describeTarget(target)} to take output "${outputPath}", but it took "${taken.join('", "')}"`
+      );
+
+      return result;
+    },
+
+    /**
+     * Assert that action was not executed
+     * @param {String|Array} target action name, path or key of the path
+     * @returns {Object} result
+     */
+    assertNotExecuted (target) {
+      assert(!findExecutions(signal, target).length, `Expected action ${describeTarget(target)} not to be executed`);
+
+      return result;
+    },
+
+    /**
+     * Assert dispatched redux actions and their order.
+     * Expected action can be a type or full redux action.
+     * @param {Array<String|Object>} expected
+     * @returns {Object} result
+     */
+    assertDispatched (expected) {
+      var actual = store.actions.map((action, index) => {
+        return typeof expected[index] === 'string' ? action.type : action;
+      });
+
+      assert.deepStrictEqual(actual, expected, 'Dispatched redux actions are different');
+
+      return result;
+    },
+
+    /**
+     * Assert values of final signal args, other args are not checked
+     * @param {Object} expected
+     * @returns {Object} result
+     */
+    assertArgs (expected) {
+      Object.keys(expected).forEach((key) => {
+        assert.deepStrictEqual(signal.args[key], expected[key], `Signal arg "${key}" is different`);
+      });
+
+      return result;
+    }
+  };
+
+  return result;
+}
+
+/**
+ * Find executions of action by name, path or key of the path
+ * @param {Object} signal
+ * @param {String|Array} target
+ * @returns {Array}
+ */
+function findExecutions (signal, target) {
+  var key = Array.isArray(target) ? target.join('.') : target;
+
+  if (signal.executions.hasOwnProperty(key)) {
+    return [signal.executions[key]];
+  }
+
+  return Object.keys(signal.executions)
+    .map(executionKey => signal.executions[executionKey])
+    .filter(execution => execution.name === target);
+}
+
+/**
+ * Describe action name or path for assertion messages
+ * @param {String|Array} target
+ * @returns {String}
+ */
+function describeTarget (target) {
+  return Array.isArray(target) ? `at path ${JSON.stringify(target)}` : `"${target}"`;
+}
+
+/**
+ * Serialize mocked error
+ * @param {Error|Object|String} error
+ * @returns {{ name: String, message: String }}
+ */
+function serializeError (error) {
+  if (typeof error === 'string') {
+    return { name: 'Error', message: error };
+  }
+
+  return { name: error.name || 'Error', message: error.message };
+}
@@ -0,0 +1,212 @@
+module.exports = {
+  /**
+   * Convert executed signals to Chrome Trace Event JSON.
+   * Result can be saved to file and opened in chrome://tracing or Performance panel of DevTools.
+   *
+   * Every signal is a process, its actions and output branches are complete events.
+   * Lanes of parallel groups are placed on separate threads by the signal tree, not by timing,
+   * nested spans stay on the lane of the action they belong to.
+   *
+   * @example:
+   *  handle.promise.then((signal) => {
+   *    fs.writeFileSync('checkout.json', JSON.stringify(trace.toChromeTrace(signal)));
+   *  });
+   *
+   * @param {Object|Array} signals executed signal or list of them
+   * @returns {{ traceEvents: Array, displayTimeUnit: String }}
+   */
+  toChromeTrace (signals) {
+    var traceEvents = [].concat(signals)
+      .reduce((events, signal) => events.concat(traceSignal(signal)), []);
+
+    return { traceEvents, displayTimeUnit: 'ms' };
+  }
+};
+
+/**
+ * Create trace events of one signal run
+ * @param {Object} signal
+ * @returns {Array}
+ */
+function traceSignal (signal) {
+  var pid = signal.id;
+  var name = signal.name || 'signal';
+  var actionLanes = {};
+
+  placeSequence(signal.branches, 0, actionLanes);
+
+  var spans = collectSpans(signal, actionLanes);
+  var lanes = spans
+    .map(span => span.lane)
+    .filter((lane, index, list) => list.indexOf(lane) === index)
+    .sort((a, b) => a - b);
+
+  var events = [
+    { name: 'process_name', ph: 'M', pid, tid: 0, args: { name: `Signal "${name}" #${signal.id}` } }
+  ];
+
+  lanes.forEach((lane) => {
+    events.push({
+      name: 'thread_name',
+      ph: 'M',
+      pid,
+      tid: lane + 1,
+      args: { name: lane === 0 ? name : `parallel ${lane}` }
+    });
+  });
+
+  spans.forEach((span) => {
+    events.push({
+      name: span.name,
+      cat: span.category,
+      ph: 'X',
+      pid,
+      tid: span.lane + 1,
+      ts: toMicroseconds(span.start),
+      dur: toMicroseconds(span.end - span.start),
+      args: span.args
+    });
+  });
+
+  return events;
+}
+
+/**
+ * Collect timed spans of signal, its actions and output branches.
+ * Spans that are not finished yet end with the signal.
+ * Actions missing in lanes, like actions of catch branch, stay on the lane of the signal.
+ * @param {Object} signal
+ * @param {Object} lanes lane of every action by its key
+ * @returns {Array<{ name: String, category: String, lane: Number, start: Number, end: Number, args: Object }>}
+ */
+function collectSpans (signal, lanes) {
+  var signalEnd = getEnd(signal, signal.start + signal.duration);
+  var spans = [{
+    name: signal.name || 'signal',
+    category: 'signal',
+    lane: 0,
+    start: signal.start,
+    end: signalEnd,
+    args: {
+      isCancelled: signal.isCancelled,
+      error: signal.error
+    }
+  }];
+
+  Object.keys(signal.executions).forEach((key) => {
+    var execution = signal.executions[key];
+    var lane = lanes.hasOwnProperty(key) ? lanes[key] : 0;
+
+    spans.push({
+      name: execution.name,
+      category: getCategory(execution),
+      lane,
+      start: execution.start,
+      end: getEnd(execution, signalEnd),
+      args: {
+        path: execution.path,
+        outputPath: execution.outputPath,
+        isCancelled: execution.isCancelled,
+        isFailed: execution.isFailed,
+        isTimedOut: execution.isTimedOut,
+        attempts: execution.attempts.length
+      }
+    });
+
+    if (execution.outputBranch) {
+      spans.push({
+        name: `${execution.name}.${execution.outputBranch.path}`,
+        category: 'output',
+        lane,
+        start: execution.outputBranch.start,
+        end: getEnd(execution.outputBranch, signalEnd),
+        args: {
+          path: execution.path.concat('outputs', execution.outputBranch.path)
+        }
+      });
+    }
+  });
+
+  return spans;
+}
+
+/**
+ * Place actions of sequence to lanes, sequence runs on the lane it starts on
+ * @param {Array} branches sequence of static tree
+ * @param {Number} lane first lane of the sequence
+ * @param {Object} lanes lane of every action by its key, filled in place
+ * @returns {Number} count of lanes taken by the sequence
+ */
+function placeSequence (branches, lane, lanes) {
+  return branches.reduce((width, branch) => {
+    return Math.max(width, Array.isArray(branch) ?
+      placeGroup(branch, lane, lanes) :
+      placeAction(branch, lane, lanes));
+  }, 1);
+}
+
+/**
+ * Place lanes of parallel group next to each other, the first one stays on the lane of the group
+ * @param {Array} branch parallel group of static tree
+ * @param {Number} lane first lane of the group
+ * @param {Object} lanes
+ * @returns {Number} count of lanes taken by the group
+ */
+function placeGroup (branch, lane, lanes) {
+  return branch.reduce((width, item) => {
+    return width + (Array.isArray(item) ?
+      placeSequence(item, lane + width, lanes) :
+      placeAction(item, lane + width, lanes));
+  }, 0);
+}
+
+/**
+ * Place action to lane, its output branches and actions of sub-signal run after it on the same lane
+ * @param {Object} action static tree branch
+ * @param {Number} lane
+ * @param {Object} lanes
+ * @returns {Number} count of lanes taken by the action
+ */
+function placeAction (action, lane, lanes) {
+  var sequences = action.outputs ? action.outputNames.map(name => action.outputs[name]) : [];
+
+  if (action.isSubSignal) {
+    sequences.push(action.branches);
+  }
+
+  lanes[action.key] = lane;
+
+  return sequences.reduce((width, branches) => Math.max(width, placeSequence(branches, lane, lanes)), 1);
+}
+
+/**
+ * Get trace category of action execution
+ * @param {Object} execution
+ * @returns {String}
+ */
+function getCategory (execution) {
+  if (execution.isSubSignal) {
+    return 'subSignal';
+  }
+
+  return execution.isAsync ? 'async' : 'sync';
+}
+
+/**
+ * Get end time of timed object or fallback for unfinished one
+ * @param {Object} timing
+ * @param {Number} fallback
+ * @returns {Number}
+ */
+function getEnd (timing, fallback) {
+  return timing.end === null ? fallback : timing.end;
+}
+
+/**
+ * Chrome trace timestamps are in microseconds
+ * @param {Number} ms
+ * @returns {Number}
+ */
+function toMicroseconds (ms) {
+  return Math.round(ms * 1000);
+}
@@ -0,0 +1,25 @@
+var ROLLBACK = '@@appstate/ROLLBACK';
+
+module.exports = {
+  /**
+   * Type of redux action dispatched by failed transactional signal.
+   * Action has saved state in `state` and signal name, run id and transaction path in `meta.appstate`.
+   */
+  ROLLBACK,
+
+  /**
+   * Enhance root reducer to restore state saved by transactional signal.
+   * Other actions are passed to the reducer as is.
+   *
+   * @example:
+   *  const store = createStore(transaction.withRollback(reducer), applyMiddleware(configureAppState()));
+   *
+   * @param {Function} reducer
+   * @returns {Function}
+   */
+  withRollback (reducer) {
+    return function rollbackReducer (state, action) {
+      return action.type === ROLLBACK ? action.state : reducer(state, action);
+    };
+  }
+};
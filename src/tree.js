@@ -0,0 +1,28 @@
+module.exports = {
+  /**
+   * Get path of static tree branch in signal definition.
+   * Parallel group and sequence have path of array that contains their actions.
+   *
+   * @example:
+   *  tree.getBranchPath(signal.branches[1]); // [1] for parallel group at index 1
+   *
+   * @param {Object|Array} branch
+   * @returns {Array|null} null for group or sequence without actions
+   */
+  getBranchPath
+};
+
+/**
+ * Get path of branch, group takes it from the first of its lanes that has actions
+ * @param {Object|Array} branch
+ * @returns {Array|null}
+ */
+function getBranchPath (branch) {
+  if (!Array.isArray(branch)) {
+    return branch.path;
+  }
+
+  var paths = branch.map(getBranchPath).filter(path => path);
+
+  return paths.length ? paths[0].slice(0, -1) : null;
+}
@@ -705,4 +705,1755 @@ lab.experiment('#appstate', function () {
       })
       .catch(done);
   });
+
+  lab.test('should return handle with promise and live status from signal run', (done) => {
+    function async ({ output }) {
+      setTimeout(() => output.success(), 0);
+    }
+
+    var signal = appstate.create([
+      [
+        async, {
+          success: [noop]
+        }
+      ]
+    ]);
+
+    var handle = signal.run(store);
+
+    assert(handle.isExecuting);
+    assert.deepEqual(handle.path, [0, 0]);
+    assert.strictEqual(handle.signal.id, handle.id);
+
+    handle.promise
+      .then((result) => {
+        assert.strictEqual(result, handle.signal);
+        assert(!handle.isExecuting);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should stop signal and resolve it as cancelled on cancel', (done) => {
+    var output = null;
+    var aborted = false;
+
+    function async (context) {
+      output = context.output;
+      context.abortSignal.addEventListener('abort', () => {
+        aborted = true;
+      });
+    }
+
+    function success () {
+      done(new Error('Output branch of cancelled action should not run'));
+    }
+
+    function after () {
+      done(new Error('Next actions of cancelled signal should not run'));
+    }
+
+    var signal = appstate.create([
+      [
+        async, {
+          success: [success]
+        }
+      ],
+      after
+    ]);
+
+    var handle = signal.run(store);
+
+    assert(handle.cancel('unmounted'));
+
+    handle.promise
+      .then((result) => {
+        var action = result.executions['0.0'];
+
+        assert(aborted);
+        assert(result.isCancelled);
+        assert.equal(result.cancelReason, 'unmounted');
+        assert(!result.isExecuting);
+        assert(action.isCancelled);
+        assert(!action.isExecuting);
+
+        output.success();
+
+        setTimeout(() => {
+          assert(!action.hasExecuted);
+          assert.equal(result.asyncActionResults.length, 0);
+          done();
+        }, 10);
+      })
+      .catch(done);
+  });
+
+  lab.test('should not cancel signal that already finished', (done) => {
+    var handle = appstate.create([noop]).run(store);
+
+    assert(!handle.cancel());
+
+    handle.promise
+      .then((result) => {
+        assert(!result.isCancelled);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should not share execution meta information between runs of one signal', (done) => {
+    function sync ({ args, output }) {
+      output({ value: args.value });
+    }
+
+    var signal = appstate.create([sync], { name: 'test' });
+
+    Promise.all([
+      signal(store, {}, { value: 1 }),
+      signal(store, {}, { value: 2 })
+    ])
+      .then(([first, second]) => {
+        assert.equal(first.name, 'test');
+        assert.notStrictEqual(first.executions, second.executions);
+        assert.equal(first.executions['0'].output.value, 1);
+        assert.equal(second.executions['0'].output.value, 2);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should share immutable static tree between runs of one signal', (done) => {
+    function sync ({ output }) {
+      output.success();
+    }
+
+    var signal = appstate.create([
+      sync, {
+        success: [noop]
+      }
+    ]);
+
+    Promise.all([signal(store), signal(store)])
+      .then(([first, second]) => {
+        assert.strictEqual(first.branches, second.branches);
+        assert(Object.isFrozen(first.branches));
+        assert(Object.isFrozen(first.branches[0]));
+        assert(Object.isFrozen(first.branches[0].outputs.success[0]));
+        assert.equal(first.executions['0'].outputPath, 'success');
+        assert(first.executions['0.outputs.success.0'].hasExecuted);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should keep meta information of concurrent runs separate', (done) => {
+    function async ({ args, output }) {
+      setTimeout(() => output.success({ result: args.value * 2 }), args.delay);
+    }
+
+    function success ({ args, output }) {
+      output({ final: args.result });
+    }
+
+    var signal = appstate.create([
+      [
+        async, {
+          success: [success]
+        }
+      ]
+    ]);
+
+    var slow = signal.run(store, {}, { value: 1, delay: 10 });
+    var fast = signal.run(store, {}, { value: 2, delay: 0 });
+
+    assert(slow.signal.executions['0.0'].isExecuting);
+    assert(fast.signal.executions['0.0'].isExecuting);
+
+    Promise.all([slow.promise, fast.promise])
+      .then(([first, second]) => {
+        assert.equal(first.executions['0.0'].output.result, 2);
+        assert.equal(second.executions['0.0'].output.result, 4);
+        assert.equal(first.executions['0.0.outputs.success.0'].args.result, 2);
+        assert.equal(second.executions['0.0.outputs.success.0'].args.result, 4);
+        assert.deepEqual(first.asyncActionResults[0].args, { result: 2 });
+        assert.deepEqual(second.asyncActionResults[0].args, { result: 4 });
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should route async action to timeout output when time is over', (done) => {
+    function async () {}
+
+    function timeout () {
+      done();
+    }
+
+    var signal = appstate.create([
+      [
+        async, {
+          success: [noop],
+          timeout: [timeout],
+          $timeout: 5
+        }
+      ]
+    ]);
+
+    signal(store)
+      .then((result) => {
+        assert(result.executions['0.0'].isTimedOut);
+        assert.equal(result.executions['0.0'].outputPath, 'timeout');
+      })
+      .catch(done);
+  });
+
+  lab.test('should reject signal with action name and path if timeout output is not declared', (done) => {
+    function fetchUser () {}
+
+    fetchUser.timeout = 5;
+
+    var signal = appstate.create([
+      [
+        fetchUser, {
+          success: [noop]
+        }
+      ]
+    ], { name: 'login' });
+
+    signal(store)
+      .catch((e) => {
+        assert(e instanceof Error);
+        assert(/"fetchUser" at path \[0,0\] in signal "login" timed out after 5ms/.test(e.message));
+        done();
+      });
+  });
+
+  lab.test('should ignore and report outputs called after timeout', (done) => {
+    var output = null;
+
+    function async (context) {
+      output = context.output;
+    }
+
+    function success () {
+      done(new Error('Late output should be ignored'));
+    }
+
+    function logWarning (warning, signal) {
+      assert(/called output "success" after timeout/.test(warning.message));
+      assert.equal(warning.name, 'async');
+      assert.deepEqual(warning.path, [0, 0]);
+      assert.equal(signal.warnings.length, 1);
+      done();
+    }
+
+    var signal = appstate.create([
+      [
+        async, {
+          success: [success],
+          timeout: [noop],
+          $timeout: 5
+        }
+      ]
+    ], { logWarning });
+
+    signal(store)
+      .then(() => output.success())
+      .catch(done);
+  });
+
+  lab.test('should not timeout async action that output in time', (done) => {
+    function async ({ output }) {
+      output.success();
+    }
+
+    async.timeout = 5;
+
+    var signal = appstate.create([
+      [
+        async, {
+          success: [noop],
+          timeout: [() => done(new Error('Should not timeout'))]
+        }
+      ]
+    ]);
+
+    signal(store)
+      .then((result) => {
+        assert.equal(result.executions['0.0'].outputPath, 'success');
+        setTimeout(done, 10);
+      })
+      .catch(done);
+  });
+
+  lab.test('should retry async action by retry policy until success', (done) => {
+    var calls = 0;
+
+    function fetchUser ({ output }) {
+      calls += 1;
+
+      if (calls < 3) {
+        output.error({ reason: 'network' });
+      } else {
+        output.success({ user: 'admin' });
+      }
+    }
+
+    fetchUser.retry = { attempts: 3, delay: 1 };
+
+    var signal = appstate.create([
+      [
+        fetchUser, {
+          success: [noop],
+          error: [() => done(new Error('Should be retried'))]
+        }
+      ]
+    ]);
+
+    signal(store)
+      .then((result) => {
+        var execution = result.executions['0.0'];
+
+        assert.equal(calls, 3);
+        assert.equal(execution.outputPath, 'success');
+        assert.deepEqual(execution.attempts.map(attempt => attempt.path), ['error', 'error', 'success']);
+        assert.deepEqual(execution.attempts.map(attempt => attempt.isRetry), [true, true, false]);
+        assert.deepEqual(result.asyncActionResults.map(attempt => attempt.attempt), [1, 2, 3]);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should retry thrown errors and reject signal when attempts are over', (done) => {
+    var calls = 0;
+
+    function async () {
+      calls += 1;
+      throw new Error('fail');
+    }
+
+    var signal = appstate.create([
+      [
+        async, {
+          success: [noop],
+          $retry: { attempts: 2 }
+        }
+      ]
+    ]);
+
+    var handle = signal.run(store);
+
+    handle.promise
+      .catch((e) => {
+        var attempts = handle.signal.executions['0.0'].attempts;
+
+        assert.equal(e.message, 'fail');
+        assert.equal(calls, 2);
+        assert.deepEqual(attempts[0].error, { name: 'Error', message: 'fail' });
+        assert.equal(handle.signal.asyncActionResults.length, 2);
+        done();
+      });
+  });
+
+  lab.test('should retry only outputs accepted by retryOn predicate', (done) => {
+    var calls = 0;
+
+    function async ({ output }) {
+      calls += 1;
+      output.error({ status: calls === 1 ? 503 : 404 });
+    }
+
+    async.retry = {
+      attempts: 5,
+      retryOn: ({ path, args }) => path === 'error' && args.status >= 500
+    };
+
+    var signal = appstate.create([
+      [
+        async, {
+          error: [noop]
+        }
+      ]
+    ]);
+
+    signal(store)
+      .then((result) => {
+        assert.equal(calls, 2);
+        assert.equal(result.args.status, 404);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should wait exponential backoff between attempts', (done) => {
+    var calls = [];
+
+    function async ({ output }) {
+      calls.push(Date.now());
+      output.error();
+    }
+
+    async.retry = { attempts: 3, delay: 10, backoff: 'exponential' };
+
+    var signal = appstate.create([
+      [
+        async, {
+          error: [noop]
+        }
+      ]
+    ]);
+
+    signal(store)
+      .then(() => {
+        assert(calls[1] - calls[0] >= 9);
+        assert(calls[2] - calls[1] >= 19);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should replay retried attempts without calling async action', (done) => {
+    var calls = 0;
+
+    function async ({ output }) {
+      calls += 1;
+
+      if (calls === 1) {
+        output.error();
+      } else {
+        output.success({ value: calls });
+      }
+    }
+
+    async.retry = { attempts: 2, delay: 50 };
+
+    var signal = appstate.create([
+      [
+        async, {
+          success: [noop],
+          error: [noop]
+        }
+      ]
+    ]);
+
+    signal(store)
+      .then((result) => {
+        var start = Date.now();
+        var results = result.asyncActionResults.slice();
+
+        return signal(store, {}, {}, results)
+          .then((replayed) => {
+            assert.equal(calls, 2);
+            assert(Date.now() - start < 50);
+            assert.equal(replayed.args.value, 2);
+            assert.deepEqual(
+              replayed.executions['0.0'].attempts.map(attempt => attempt.path),
+              ['error', 'success']
+            );
+            done();
+          });
+      })
+      .catch(done);
+  });
+
+  lab.test('should route resolved output of promise returning action', (done) => {
+    function fetchUser ({ args }) {
+      return Promise.resolve({ id: args.id })
+        .then(user => ({ path: 'success', args: { user } }));
+    }
+
+    function success ({ args }) {
+      assert.deepEqual(args.user, { id: 1 });
+    }
+
+    var signal = appstate.create([
+      [
+        fetchUser, {
+          success: [success],
+          error: [noop]
+        }
+      ]
+    ]);
+
+    signal(store, {}, { id: 1 })
+      .then((result) => {
+        assert.equal(result.executions['0.0'].outputPath, 'success');
+        assert(result.executions['0.0.outputs.success.0'].hasExecuted);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should use resolved plain object as args of promise returning action', (done) => {
+    function async () {
+      return Promise.resolve({ value: 'test' });
+    }
+
+    function sync ({ args }) {
+      assert.equal(args.value, 'test');
+      done();
+    }
+
+    var signal = appstate.create([
+      [async],
+      sync
+    ]);
+
+    signal(store).catch(done);
+  });
+
+  lab.test('should route rejected promise to error output', (done) => {
+    function async () {
+      return Promise.reject(new TypeError('fail'));
+    }
+
+    function error ({ args }) {
+      assert.deepEqual(args.error, { name: 'TypeError', message: 'fail' });
+      done();
+    }
+
+    var signal = appstate.create([
+      [
+        async, {
+          success: [noop],
+          error: [error]
+        }
+      ]
+    ]);
+
+    signal(store).catch(done);
+  });
+
+  lab.test('should reject signal if promise rejected without error output', (done) => {
+    function async () {
+      return Promise.resolve().then(() => {
+        throw new Error('fail');
+      });
+    }
+
+    var signal = appstate.create([
+      [
+        async, {
+          success: [noop]
+        }
+      ]
+    ]);
+
+    signal(store)
+      .catch((e) => {
+        assert.equal(e.message, 'fail');
+        done();
+      });
+  });
+
+  lab.test('should wait for promise returning sync action before next actions', (done) => {
+    var times = 0;
+
+    function sync ({ dispatch }) {
+      return new Promise(resolve => setTimeout(resolve, 5))
+        .then(() => {
+          times += 1;
+          dispatch({
+            type: 'SET_PROPERTY',
+            name: 'hello',
+            value: 'world'
+          });
+
+          return { path: 'success', args: { test: 'test' } };
+        });
+    }
+
+    function success ({ args, getState }) {
+      times += 1;
+      assert.equal(args.test, 'test');
+      assert.equal(getState().hello, 'world');
+    }
+
+    function after () {
+      times += 1;
+      assert.equal(times, 3);
+    }
+
+    var signal = appstate.create([
+      sync, {
+        success: [success]
+      },
+      after
+    ]);
+
+    signal(store)
+      .then(() => {
+        assert.equal(times, 3);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should keep output style working in promise returning actions', (done) => {
+    function async ({ output }) {
+      return Promise.resolve().then(() => {
+        output.success({ test: 'test' });
+      });
+    }
+
+    function success ({ args }) {
+      assert.equal(args.test, 'test');
+      done();
+    }
+
+    var signal = appstate.create([
+      [
+        async, {
+          success: [success]
+        }
+      ]
+    ]);
+
+    signal(store).catch(done);
+  });
+
+  lab.test('should reject signal if sync action outputs to undeclared path', (done) => {
+    function sync ({ output }) {
+      output('sucess');
+    }
+
+    var signal = appstate.create([
+      sync, {
+        success: [noop],
+        error: [noop]
+      }
+    ]);
+
+    signal(store)
+      .catch((e) => {
+        assert(/Action "sync" at path \[0\] called undeclared output "sucess"/.test(e.message));
+        assert(/Declared outputs: "success", "error"/.test(e.message));
+        done();
+      });
+  });
+
+  lab.test('should reject signal if async action outputs to undeclared path', (done) => {
+    function async ({ output }) {
+      setTimeout(() => output('sucess'), 0);
+    }
+
+    var signal = appstate.create([
+      [
+        async, {
+          success: [noop]
+        }
+      ]
+    ], { name: 'test' });
+
+    signal(store)
+      .catch((e) => {
+        assert(/Action "async" at path \[0,0\] in signal "test" called undeclared output "sucess"/.test(e.message));
+        done();
+      });
+  });
+
+  lab.test('should reject signal if action without outputs outputs to path', (done) => {
+    function sync ({ output }) {
+      output('success');
+    }
+
+    var signal = appstate.create([sync]);
+
+    signal(store)
+      .catch((e) => {
+        assert(/called undeclared output "success". Action has no declared outputs/.test(e.message));
+        done();
+      });
+  });
+
+  lab.test('should reject signal if sync action outputs more than once', (done) => {
+    var isStopped = true;
+
+    function sync ({ output }) {
+      output.success();
+      output.error();
+      isStopped = false;
+    }
+
+    var signal = appstate.create([
+      sync, {
+        success: [noop],
+        error: [noop]
+      }
+    ]);
+
+    signal(store)
+      .catch((e) => {
+        assert(/called output more than once/.test(e.message));
+        assert(isStopped);
+        done();
+      });
+  });
+
+  lab.test('should reject signal if async action outputs more than once', (done) => {
+    function async ({ output }) {
+      output.success();
+      output.success();
+    }
+
+    var signal = appstate.create([
+      [
+        async, {
+          success: [noop]
+        }
+      ]
+    ]);
+
+    signal(store)
+      .then(() => done(new Error('Signal should be rejected')))
+      .catch((e) => {
+        assert(/called output more than once/.test(e.message));
+        done();
+      });
+  });
+
+  lab.test('should reject signal if action with outputs finishes without output path', (done) => {
+    function sync () {}
+
+    var signal = appstate.create([
+      sync, {
+        success: [noop],
+        error: [noop]
+      }
+    ]);
+
+    signal(store)
+      .catch((e) => {
+        assert(/"sync" at path \[0\] finished without output path/.test(e.message));
+        done();
+      });
+  });
+
+  lab.test('should not require output path if action declares only error output', (done) => {
+    function sync ({ output }) {
+      output({ test: 'test' });
+    }
+
+    var signal = appstate.create([
+      sync, {
+        error: [noop]
+      }
+    ]);
+
+    signal(store)
+      .then((result) => {
+        assert.equal(result.args.test, 'test');
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should warn if async action outputs after signal finished', (done) => {
+    var warnings = [];
+    var output = null;
+
+    function async (context) {
+      output = context.output;
+      output.success();
+    }
+
+    var signal = appstate.create([
+      [
+        async, {
+          success: [noop]
+        }
+      ]
+    ], { logWarning: warning => warnings.push(warning) });
+
+    signal(store)
+      .then(() => {
+        assert.doesNotThrow(() => output.success());
+        assert.deepEqual(warnings, [{
+          message: 'State: Action "async" at path [0,0] called output after signal finished.',
+          name: 'async',
+          path: [0, 0]
+        }]);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should warn if output is called from timer after signal finished', (done) => {
+    var warnings = [];
+
+    function async ({ output }) {
+      output.success();
+      setTimeout(() => output.success(), 10);
+    }
+
+    var signal = appstate.create([[async, { success: [noop] }]], { logWarning: warning => warnings.push(warning) });
+
+    signal(store)
+      .then(() => new Promise(resolve => setTimeout(resolve, 30)))
+      .then(() => {
+        assert.deepEqual(warnings.map(warning => warning.message), [
+          'State: Action "async" at path [0,0] called output after signal finished.'
+        ]);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should warn if promise returning action resolves after signal finished', (done) => {
+    var warnings = [];
+
+    function save ({ output }) {
+      output.success();
+
+      return new Promise(resolve => setTimeout(resolve, 10))
+        .then(() => ({ saved: true }));
+    }
+
+    var signal = appstate.create([[save, { success: [noop] }]], { logWarning: warning => warnings.push(warning) });
+
+    signal(store)
+      .then((result) => {
+        assert.equal(result.args.saved, undefined);
+
+        return new Promise(resolve => setTimeout(resolve, 30));
+      })
+      .then(() => {
+        assert.deepEqual(warnings.map(warning => warning.message), [
+          'State: Action "save" at path [0,0] called output after signal finished.'
+        ]);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should go to default output if sync action does not call output', (done) => {
+    function sync () {}
+
+    sync.defaultOutput = 'success';
+
+    var signal = appstate.create([
+      sync, {
+        success: [() => done()],
+        error: [noop]
+      }
+    ]);
+
+    signal(store).catch(done);
+  });
+
+  lab.test('should throw on create if outputs object misses declared output', (done) => {
+    function fetchUser () {}
+
+    fetchUser.outputs = ['success', 'error'];
+
+    var actions = [
+      noop,
+      noop, {
+        success: [
+          [
+            fetchUser, {
+              success: [noop]
+            }
+          ]
+        ]
+      }
+    ];
+
+    assert.throws(
+      () => appstate.create(actions, { name: 'login' }),
+      /signal "login"[^]*at \[1,"outputs","success",0,0\]: Action "fetchUser" declares outputs "success", "error", but outputs object has missing "error"/
+    );
+    done();
+  });
+
+  lab.test('should throw on create if outputs object has unknown output', (done) => {
+    function fetchUser () {}
+
+    fetchUser.outputs = ['success', 'error'];
+
+    var actions = [
+      [
+        fetchUser, {
+          success: [noop],
+          error: [noop],
+          sucess: [noop]
+        }
+      ]
+    ];
+
+    assert.throws(() => appstate.create(actions), /outputs object has unknown "sucess"/);
+    done();
+  });
+
+  lab.test('should throw on create if default output is not declared', (done) => {
+    function sync () {}
+
+    sync.outputs = ['success', 'error'];
+    sync.defaultOutput = 'done';
+
+    var actions = [
+      sync, {
+        success: [noop],
+        error: [noop]
+      }
+    ];
+
+    assert.throws(() => appstate.create(actions), /has default output "done" that is not declared/);
+    done();
+  });
+
+  lab.test('should allow timeout output for declared outputs of action with timeout', (done) => {
+    function async ({ output }) {
+      output.success();
+    }
+
+    async.outputs = ['success'];
+    async.defaultOutput = 'success';
+
+    var signal = appstate.create([
+      [
+        async, {
+          success: [noop],
+          timeout: [noop],
+          $timeout: 100
+        }
+      ]
+    ]);
+
+    signal(store)
+      .then((result) => {
+        assert.equal(result.executions['0.0'].outputPath, 'success');
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should go to default output if async action outputs without path', (done) => {
+    function async ({ output }) {
+      output({ test: 'test' });
+    }
+
+    async.outputs = ['success', 'error'];
+    async.defaultOutput = 'success';
+
+    var signal = appstate.create([
+      [
+        async, {
+          success: [() => done()],
+          error: [noop]
+        }
+      ]
+    ]);
+
+    signal(store).catch(done);
+  });
+
+  lab.test('should not count outputs objects in action paths', (done) => {
+    function check ({ output }) {
+      output.success();
+    }
+
+    var signal = appstate.create([
+      check, {
+        success: [noop]
+      },
+      check, {
+        success: [noop]
+      }
+    ]);
+
+    signal(store)
+      .then((result) => {
+        assert.deepEqual(result.branches[1].path, [1]);
+        assert.equal(result.executions['1'].outputPath, 'success');
+        assert(result.executions['1.outputs.success.0'].hasExecuted);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should validate signal definition and return all diagnostics', (done) => {
+    function sync () {}
+
+    var diagnostics = appstate.validate([
+      { success: [] },
+      sync, {},
+      42,
+      null,
+      [sync, [sync], { success: [] }],
+      sync, {
+        success: [noop, undefined],
+        error: noop,
+        $unknown: true
+      }
+    ]);
+
+    assert.deepEqual(diagnostics, [
+      {
+        severity: 'error',
+        message: 'Outputs object can not be first in actions array, it should follow an action',
+        path: [0],
+        action: null
+      },
+      {
+        severity: 'warning',
+        message: 'Outputs object of action "sync" is empty',
+        path: [0, 'outputs'],
+        action: 'sync'
+      },
+      {
+        severity: 'error',
+        message: 'Action should be a function, got number',
+        path: [1],
+        action: null
+      },
+      {
+        severity: 'error',
+        message: 'Action should be a function, got null',
+        path: [2],
+        action: null
+      },
+      {
+        severity: 'error',
+        message: 'Outputs object should follow an action function',
+        path: [3, 2],
+        action: null
+      },
+      {
+        severity: 'warning',
+        message: 'Unknown action option "$unknown"',
+        path: [4, 'outputs'],
+        action: 'sync'
+      },
+      {
+        severity: 'error',
+        message: 'Action does not exist. Check that you have spelled it correctly!',
+        path: [4, 'outputs', 'success', 1],
+        action: null
+      },
+      {
+        severity: 'error',
+        message: 'Output "error" of action "sync" should be array of actions',
+        path: [4, 'outputs', 'error'],
+        action: 'sync'
+      }
+    ]);
+    done();
+  });
+
+  lab.test('should throw single error with all problems of signal definition', (done) => {
+    try {
+      appstate.create([undefined, 'fetchUser'], { name: 'login' });
+      done(new Error('Signal should not be created'));
+    } catch (e) {
+      assert.equal(e.diagnostics.length, 2);
+      assert(/Definition of signal "login" is incorrect/.test(e.message));
+      assert(/error at \[0\]: Action does not exist/.test(e.message));
+      assert(/error at \[1\]: Action should be a function, got string "fetchUser"/.test(e.message));
+      done();
+    }
+  });
+
+  lab.test('should pass definition warnings of valid signal to logWarning', (done) => {
+    function sync () {}
+
+    function logWarning (warning) {
+      assert.equal(warning.message, 'State: Outputs object of action "sync" is empty');
+      assert.equal(warning.name, 'sync');
+      assert.deepEqual(warning.path, [0, 'outputs']);
+      done();
+    }
+
+    appstate.create([sync, {}], { logWarning });
+  });
+
+  lab.test('should emit lifecycle events of signal run', (done) => {
+    function sync ({ output }) {
+      output.success({ user: 'John' });
+    }
+
+    function async ({ output }) {
+      setTimeout(() => output({ token: 'abc' }));
+    }
+
+    var signal = appstate.create([sync, { success: [[async]] }], { name: 'login' });
+    var events = [];
+
+    signal.on('*', event => events.push(event));
+
+    signal(store, {}, { id: 1 })
+      .then(() => {
+        assert.deepEqual(events.map(event => event.type), [
+          'signalStart',
+          'actionStart', 'actionOutput', 'actionEnd',
+          'actionStart', 'actionOutput', 'actionEnd',
+          'signalEnd'
+        ]);
+
+        events.forEach(event => assert.equal(event.signalName, 'login'));
+        assert.equal(events[0].signalId, events[7].signalId);
+        assert.deepEqual(events[0].args, { id: 1 });
+        assert.deepEqual(events[2].path, [0]);
+        assert.equal(events[2].outputPath, 'success');
+        assert.deepEqual(events[2].output, { user: 'John' });
+        assert.deepEqual(events[4].path, [0, 'outputs', 'success', 0, 0]);
+        assert.equal(events[4].name, 'async');
+        assert.deepEqual(events[6].args, { id: 1, user: 'John', token: 'abc' });
+        assert.equal(events[7].isCancelled, false);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should emit signalError when signal fails', (done) => {
+    function sync () {
+      throw new Error('fail');
+    }
+
+    var signal = appstate.create([sync]);
+
+    signal.on('signalError', (event) => {
+      assert.deepEqual(event.error, { name: 'Error', message: 'fail' });
+      done();
+    });
+
+    signal(store).catch(noop);
+  });
+
+  lab.test('should emit actionEnd and signalEnd of cancelled signal', (done) => {
+    function async () {}
+
+    var signal = appstate.create([[async]]);
+    var events = [];
+
+    signal.on('actionEnd', event => events.push(event));
+    signal.on('signalEnd', event => events.push(event));
+
+    var handle = signal.run(store);
+
+    handle.cancel();
+    handle.promise
+      .then(() => {
+        assert.deepEqual(events.map(event => [event.type, event.isCancelled]), [
+          ['actionEnd', true],
+          ['signalEnd', true]
+        ]);
+        assert.deepEqual(events[0].path, [0, 0]);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should stop listening events with returned function', (done) => {
+    function sync () {}
+
+    var signal = appstate.create([sync]);
+    var count = 0;
+    var off = signal.on('actionStart', () => count++);
+
+    signal(store)
+      .then(() => {
+        off();
+        return signal(store);
+      })
+      .then(() => {
+        assert.equal(count, 1);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should report failed event listener as warning', (done) => {
+    function sync () {}
+
+    function logWarning (warning) {
+      assert.equal(warning.message, 'State: Listener of "actionStart" event failed with "broken"');
+      assert.equal(warning.name, 'sync');
+    }
+
+    var signal = appstate.create([sync], { logWarning });
+
+    signal.on('actionStart', () => {
+      throw new Error('broken');
+    });
+
+    signal(store)
+      .then((result) => {
+        assert.equal(result.executions['0'].hasExecuted, true);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should fail strict replay of async action without recorded result', (done) => {
+    var called = false;
+
+    function async () {
+      called = true;
+    }
+
+    var signal = appstate.create([[async]], { name: 'load' });
+
+    signal.run(store, {}, {}, [], { strict: true }).promise
+      .then(() => done(new Error('Signal should fail')))
+      .catch((e) => {
+        assert(!called);
+        assert.equal(e.message, 'State: Action "async" at path [0,0] in signal "load" has no recorded result');
+        done();
+      });
+  });
+
+  lab.test('should not call action if listener of actionStart cancels signal', (done) => {
+    var called = false;
+
+    function wait ({ output }) {
+      setTimeout(output);
+    }
+
+    function async () {
+      called = true;
+    }
+
+    var signal = appstate.create([[wait], [async]]);
+    var handle;
+
+    signal.on('actionStart', (event) => {
+      if (event.name === 'async') {
+        handle.cancel();
+      }
+    });
+
+    handle = signal.run(store);
+    handle.promise
+      .then((result) => {
+        assert(!called);
+        assert(result.isCancelled);
+        assert(result.executions['1.0'].isCancelled);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should run parallel actions with snapshot of args from before the group', (done) => {
+    var seen = [];
+
+    function fast ({ output }) {
+      setTimeout(() => output({ fast: true }), 1);
+    }
+
+    function slow ({ output }) {
+      setTimeout(() => output({ slow: true }), 10);
+    }
+
+    function afterFast ({ args }) {
+      seen.push(['afterFast', Object.keys(args).sort()]);
+    }
+
+    function afterSlow ({ args }) {
+      seen.push(['afterSlow', Object.keys(args).sort()]);
+    }
+
+    fast.defaultOutput = 'done';
+    slow.defaultOutput = 'done';
+
+    var signal = appstate.create([
+      [
+        fast, { done: [afterFast] },
+        slow, { done: [afterSlow] }
+      ]
+    ]);
+
+    signal(store, {}, { id: 1 })
+      .then((result) => {
+        assert.deepEqual(seen, [
+          ['afterFast', ['fast', 'id']],
+          ['afterSlow', ['id', 'slow']]
+        ]);
+        assert.deepEqual(result.args, { id: 1, fast: true, slow: true });
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should merge args of parallel actions in declaration order and warn on conflict', (done) => {
+    var warnings = [];
+
+    function first ({ output }) {
+      setTimeout(() => output({ user: 'first' }), 10);
+    }
+
+    function second ({ output }) {
+      setTimeout(() => output({ user: 'second' }), 1);
+    }
+
+    var signal = appstate.create([noop, [first, second]], {
+      name: 'load',
+      logWarning: warning => warnings.push(warning)
+    });
+
+    signal(store)
+      .then((result) => {
+        assert.equal(result.args.user, 'second');
+        assert.deepEqual(warnings, [{
+          message: 'State: Parallel actions "first" and "second" at path [1] wrote the same key "user" of args',
+          name: 'second',
+          path: [1, 1]
+        }]);
+        assert.equal(result.warnings.length, 1);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should fail signal on args conflict of parallel actions in "fail" mode', (done) => {
+    var called = false;
+
+    function first ({ output }) {
+      output({ user: 'first' });
+    }
+
+    function second ({ output }) {
+      output({ user: 'second' });
+    }
+
+    function after () {
+      called = true;
+    }
+
+    var signal = appstate.create([[first, second], after], { argsConflict: 'fail' });
+
+    signal(store)
+      .then(() => done(new Error('Signal should fail')))
+      .catch((e) => {
+        assert(!called);
+        assert(/Parallel actions "first" and "second" at path \[0\] wrote the same key "user" of args/.test(e.message));
+        done();
+      });
+  });
+
+  lab.test('should ignore args conflict in "ignore" mode and throw on unknown mode', (done) => {
+    function first ({ output }) {
+      output({ user: 'first' });
+    }
+
+    function second ({ output }) {
+      output({ user: 'second' });
+    }
+
+    function logWarning () {
+      done(new Error('Conflict should be ignored'));
+    }
+
+    assert.throws(
+      () => appstate.create([noop], { argsConflict: 'throw' }),
+      /Unknown argsConflict mode "throw", expected "warn", "fail", "ignore"/
+    );
+
+    appstate.create([[first, second]], { argsConflict: 'ignore', logWarning })(store)
+      .then((result) => {
+        assert.equal(result.args.user, 'second');
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should run sub-signal as node of execution tree and route parent by its output path', (done) => {
+    function checkToken ({ args, output }) {
+      output({ hasToken: !!args.token });
+    }
+
+    function fetchUser ({ args, output }) {
+      setTimeout(() => args.hasToken ? output.success({ user: 'John' }) : output.error());
+    }
+
+    function setUser ({ args, dispatch }) {
+      dispatch({ type: 'SET_PROPERTY', name: 'user', value: args.user });
+    }
+
+    function showProfile ({ output }) {
+      output({ page: 'profile' });
+    }
+
+    function showLogin ({ output }) {
+      output({ page: 'login' });
+    }
+
+    var authorize = appstate.subSignal('authorize', [
+      checkToken,
+      [fetchUser, { success: [], error: [] }]
+    ]);
+    var signal = appstate.create([
+      authorize, {
+        success: [setUser, showProfile],
+        error: [showLogin]
+      }
+    ]);
+
+    Promise
+      .all([
+        signal(store, {}, { token: 'secret' }),
+        signal(store, {}, {})
+      ])
+      .then(([authorized, anonymous]) => {
+        var node = authorized.executions['0'];
+
+        assert.equal(node.name, 'authorize');
+        assert(node.isSubSignal);
+        assert(!node.isAsync);
+        assert.equal(node.outputPath, 'success');
+        assert(node.end >= authorized.executions['0.actions.1.0'].end);
+        assert.deepEqual(authorized.executions['0.actions.0'].path, [0, 'actions', 0]);
+        assert(!authorized.executions['0.actions.0'].isAsync);
+        assert(authorized.executions['0.actions.1.0'].isAsync);
+        assert.equal(authorized.args.page, 'profile');
+        assert.equal(store.getState().user, 'John');
+
+        assert.equal(anonymous.executions['0'].outputPath, 'error');
+        assert.equal(anonymous.args.page, 'login');
+
+        assert(signal.branches[0].isSubSignal);
+        assert(Object.isFrozen(signal.branches[0].branches));
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should run sub-signal in parallel group with its own sync and async actions', (done) => {
+    var events = [];
+
+    function setFlag ({ dispatch }) {
+      dispatch({ type: 'SET_PROPERTY', name: 'flag', value: true });
+    }
+
+    function fetchSettings ({ output }) {
+      setTimeout(() => output({ settings: {} }), 5);
+    }
+
+    function fetchUser ({ output }) {
+      setTimeout(() => output({ user: 'John' }));
+    }
+
+    var loadSettings = appstate.subSignal('loadSettings', [setFlag, [fetchSettings]]);
+    var signal = appstate.create([[fetchUser, loadSettings]]);
+
+    signal.on('actionEnd', event => events.push(event.name));
+
+    signal(store)
+      .then((result) => {
+        assert(result.executions['0.1'].isAsync);
+        assert(!result.executions['0.1.actions.0'].isAsync);
+        assert.deepEqual(result.args, { user: 'John', settings: {} });
+        assert.equal(store.getState().flag, true);
+        assert.deepEqual(events, ['setFlag', 'fetchUser', 'fetchSettings', 'loadSettings']);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should cancel executing sub-signal with its actions', (done) => {
+    function fetchUser ({ output }) {
+      setTimeout(() => output({ user: 'John' }), 50);
+    }
+
+    var handle = appstate.create([appstate.subSignal('load', [[fetchUser]])]).run(store);
+
+    setTimeout(() => handle.cancel('leave'));
+
+    handle.promise
+      .then((result) => {
+        assert(result.executions['0'].isCancelled);
+        assert(result.executions['0.actions.0.0'].isCancelled);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should analyze sub-signal actions and outputs', (done) => {
+    function fetchUser () {}
+
+    var load = appstate.subSignal('load', [noop, [fetchUser, { success: [42] }, noop, { done: [] }]]);
+
+    assert.deepEqual(appstate.validate([load, { success: [], failure: [], $timeout: 10 }]), [
+      { severity: 'error', message: 'Action should be a function, got number', path: [0, 'actions', 1, 0, 'outputs', 'success', 0], action: null },
+      {
+        severity: 'error',
+        message: 'Sub-signal "load" can end on outputs "success", "done", but outputs object has unknown "failure"',
+        path: [0],
+        action: 'load'
+      },
+      { severity: 'warning', message: 'Option "$timeout" is not supported by sub-signal "load"', path: [0, 'outputs'], action: 'load' }
+    ]);
+
+    assert.deepEqual(appstate.validate([appstate.subSignal('', [noop]), { success: [] }]).map(diagnostic => diagnostic.message), [
+      'Sub-signal name should be non-empty string',
+      'Sub-signal "" does not end on output path, but outputs object has unknown "success"'
+    ]);
+
+    done();
+  });
+
+  lab.test('should run sequence inside of parallel group as one lane', (done) => {
+    var events = [];
+
+    function fetchUser ({ output }) {
+      setTimeout(() => output({ user: 'John' }), 10);
+    }
+
+    function showSpinner ({ dispatch }) {
+      dispatch({ type: 'SET_PROPERTY', name: 'isLoading', value: true });
+    }
+
+    function fetchSettings ({ output }) {
+      setTimeout(() => output({ settings: {} }));
+    }
+
+    function hideSpinner ({ args, dispatch }) {
+      assert.deepEqual(args, { settings: {} });
+      dispatch({ type: 'SET_PROPERTY', name: 'isLoading', value: false });
+    }
+
+    var signal = appstate.create([
+      appstate.parallel([
+        fetchUser,
+        appstate.sequence([showSpinner, appstate.parallel([fetchSettings]), hideSpinner])
+      ])
+    ]);
+
+    signal.on('actionEnd', event => events.push(event.name));
+
+    signal(store)
+      .then((result) => {
+        assert(result.executions['0.0'].isAsync);
+        assert(!result.executions['0.1.0'].isAsync);
+        assert(result.executions['0.1.1.0'].isAsync);
+        assert.deepEqual(result.args, { user: 'John', settings: {} });
+        assert.equal(store.getState().isLoading, false);
+        assert.deepEqual(events, ['showSpinner', 'fetchSettings', 'hideSpinner', 'fetchUser']);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should run parallel group as output branch and inline nested markers', (done) => {
+    function checkUser ({ output }) {
+      output.valid();
+    }
+
+    function fetchUser ({ output }) {
+      setTimeout(() => output({ user: 'John' }));
+    }
+
+    function fetchSettings ({ output }) {
+      output({ user: 'Jane' });
+    }
+
+    var signal = appstate.create([
+      appstate.sequence([checkUser, {
+        valid: appstate.parallel([fetchUser, appstate.parallel([fetchSettings])]),
+        invalid: []
+      }])
+    ], { argsConflict: 'fail' });
+
+    signal(store)
+      .then(() => done(new Error('Signal should fail')), (e) => {
+        assert.equal(
+          e.message,
+          'State: Parallel actions "fetchUser" and "fetchSettings" at path [0,0,"outputs","valid"] wrote the same key "user" of args'
+        );
+        assert.deepEqual(signal.branches[0].outputs.valid[0].map(branch => branch.key), [
+          '0.0.outputs.valid.0',
+          '0.0.outputs.valid.1.0'
+        ]);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should run empty parallel groups and sequences as no-op', (done) => {
+    function setUser ({ output }) {
+      output({ user: 'John' });
+    }
+
+    var signal = appstate.create([[], appstate.parallel([]), [[], setUser], setUser]);
+
+    signal(store)
+      .then((result) => {
+        assert.deepEqual(result.args, { user: 'John' });
+        assert(result.executions['2.1'].hasExecuted);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should compile plain arrays and markers to the same tree', (done) => {
+    function fetchUser () {}
+
+    function fetchSettings () {}
+
+    var plain = appstate.create([noop, [fetchUser, [noop, [fetchSettings]]]]);
+    var marked = appstate.create([
+      noop,
+      appstate.parallel([fetchUser, appstate.sequence([noop, appstate.parallel([fetchSettings])])])
+    ]);
+
+    assert.deepEqual(marked.branches, plain.branches);
+    assert.deepEqual(appstate.validate([appstate.parallel([noop, appstate.sequence([noop, 42])])]), [
+      { severity: 'error', message: 'Action should be a function, got number', path: [0, 1, 1], action: null }
+    ]);
+
+    done();
+  });
+
+  lab.test('should route thrown errors to error output', (done) => {
+    function validate () {
+      throw new TypeError('Invalid user');
+    }
+
+    function fetchUser () {
+      throw new Error('Network is down');
+    }
+
+    function setError ({ args, dispatch }) {
+      dispatch({ type: 'SET_PROPERTY', name: 'errors', value: (store.getState().errors || []).concat(args.error.message) });
+    }
+
+    var signal = appstate.create([
+      validate, { error: [setError] },
+      [fetchUser, { success: [], error: [setError] }]
+    ]);
+
+    signal(store)
+      .then((result) => {
+        assert.deepEqual(result.executions['0'].output, { error: { name: 'TypeError', message: 'Invalid user' } });
+        assert.equal(result.executions['0'].outputPath, 'error');
+        assert.equal(result.executions['1.0'].outputPath, 'error');
+        assert.deepEqual(store.getState().errors, ['Invalid user', 'Network is down']);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should fail signal on errors in "fail" error routing mode', (done) => {
+    function fetchUser () {
+      return Promise.reject(new Error('Network is down'));
+    }
+
+    assert.throws(
+      () => appstate.create([noop], { errorRouting: 'catch' }),
+      /Unknown errorRouting mode "catch", expected "output", "fail"/
+    );
+
+    appstate.create([[fetchUser, { error: [noop] }]], { errorRouting: 'fail' })(store)
+      .then(() => done(new Error('Signal should fail')), (e) => {
+        assert.equal(e.message, 'Network is down');
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should run catch branch on unhandled error before signal rejects', (done) => {
+    var isContinued = false;
+
+    function fetchUser ({ output }) {
+      setTimeout(() => output({ user: 'John' }), 10);
+    }
+
+    function fetchSettings () {
+      throw new Error('Network is down');
+    }
+
+    function setUser () {
+      isContinued = true;
+    }
+
+    function showMessage ({ args, dispatch }) {
+      dispatch({ type: 'SET_PROPERTY', name: 'message', value: args.error.message });
+    }
+
+    function trackError ({ output }) {
+      setTimeout(() => output({ isTracked: true }));
+    }
+
+    var signal = appstate.create([[fetchUser, fetchSettings], setUser], {
+      name: 'load',
+      catch: [showMessage, [trackError]]
+    });
+    var errorEvent = null;
+
+    signal.on('signalError', (event) => {
+      errorEvent = event;
+    });
+
+    signal(store)
+      .then(() => done(new Error('Signal should fail')), (e) => {
+        assert.equal(e.message, 'Network is down');
+        assert.equal(e.signalName, 'load');
+        assert.equal(store.getState().message, 'Network is down');
+        assert.deepEqual(errorEvent.error, { name: 'Error', message: 'Network is down' });
+        assert.deepEqual(errorEvent.args.error, errorEvent.error);
+        assert.equal(errorEvent.args.isTracked, true);
+
+        return new Promise(resolve => setTimeout(resolve, 20));
+      })
+      .then(() => {
+        assert(!isContinued);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should record catch branch in execution tree and reject with its error', (done) => {
+    function failSave () {
+      throw new Error('Save failed');
+    }
+
+    function failMessage () {
+      throw new Error('Message failed');
+    }
+
+    assert.deepEqual(appstate.validate([noop], { catch: [noop, 42] }), [
+      { severity: 'error', message: 'Action should be a function, got number', path: ['catch', 1], action: null }
+    ]);
+
+    var handle = appstate.create([failSave], { catch: [noop, failMessage] }).run(store);
+
+    handle.promise
+      .then(() => done(new Error('Signal should fail')), (e) => {
+        var signal = handle.signal;
+
+        assert.equal(e.message, 'Message failed');
+        assert.deepEqual(signal.error, { name: 'Error', message: 'Message failed' });
+        assert(signal.executions['0'].isFailed);
+        assert(signal.executions['catch.0'].hasExecuted);
+        assert(signal.executions['catch.1'].isFailed);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should settle signal only when async catch branch ends', (done) => {
+    function save ({ output }) {
+      output('nope');
+    }
+
+    function trackError ({ output }) {
+      setTimeout(() => output({ isTracked: true }));
+    }
+
+    function showMessage ({ args, dispatch }) {
+      dispatch({ type: 'SET_PROPERTY', name: 'message', value: args.error.message });
+    }
+
+    var handle = appstate.create([save, { ok: [] }], { catch: [[trackError], showMessage] }).run(store);
+
+    handle.promise
+      .then(() => done(new Error('Signal should fail')), (e) => {
+        assert(e.message.indexOf('"nope"') !== -1);
+        assert.equal(store.getState().message, e.message);
+        assert.equal(handle.signal.args.isTracked, true);
+        assert(handle.signal.executions['catch.1'].hasExecuted);
+        done();
+      })
+      .catch(done);
+  });
 });
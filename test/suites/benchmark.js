@@ -0,0 +1,117 @@
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var assert = require('assert');
+var { createStore } = require('redux');
+var appstate = require('../../src/appstate');
+
+function reducer (state = {}, action) {
+  switch (action.type) {
+    case 'SET_PROPERTY': {
+      return Object.assign({}, state, {
+        [action.name]: action.value,
+      });
+    }
+    default:
+      return state;
+  }
+}
+
+/**
+ * Test helpers
+ */
+var RUNS = 2000;
+
+function set ({ args, dispatch }) {
+  dispatch({
+    type: 'SET_PROPERTY',
+    name: 'value',
+    value: args.value
+  });
+}
+
+function check ({ args, output }) {
+  if (args.value % 2) {
+    output.odd({ odd: true });
+  } else {
+    output.even({ even: true });
+  }
+}
+
+function checkAgain ({ args, output }) {
+  check({ args, output });
+}
+
+function first () {}
+
+function second () {}
+
+function createActions () {
+  return [
+    set,
+    check, {
+      odd: [first, set, second],
+      even: [set, first, second]
+    },
+    first,
+    checkAgain, {
+      odd: [first, second],
+      even: [second, first]
+    },
+    set
+  ];
+}
+
+function measure (runSignal) {
+  var start = process.hrtime();
+
+  for (var index = 0; index < RUNS; index++) {
+    runSignal(index);
+  }
+
+  var diff = process.hrtime(start);
+  return diff[0] * 1e3 + diff[1] / 1e6;
+}
+
+/**
+ * Cases
+ */
+lab.experiment('#benchmark', function () {
+  var store;
+
+  lab.beforeEach(function(done) {
+    store = createStore(reducer);
+    done();
+  });
+
+  lab.test('should measure compiled signal and signal compiled on every dispatch', { timeout: 10000 }, function(done) {
+    var actions = createActions();
+    var signal = appstate.create(actions);
+
+    // Warm up both paths before measure
+    measure((value) => appstate.create(actions)(store, {}, { value }));
+    measure((value) => signal(store, {}, { value }));
+
+    var perDispatch = measure((value) => appstate.create(actions)(store, {}, { value }));
+    var compiled = measure((value) => signal(store, {}, { value }));
+
+    // Timings depend on the machine, so they are reported with test notes instead of asserted
+    done.note(`${RUNS} runs: compile on every dispatch ${perDispatch.toFixed(1)}ms, compiled once ${compiled.toFixed(1)}ms`);
+    done();
+  });
+
+  lab.test('compiled signal should not allocate static tree on run', function(done) {
+    var signal = appstate.create(createActions());
+    var runs = [];
+
+    for (var index = 0; index < 10; index++) {
+      runs.push(signal(store, {}, { value: index }));
+    }
+
+    Promise.all(runs)
+      .then((signals) => {
+        signals.forEach((result) => assert.strictEqual(result.branches, signals[0].branches));
+        done();
+      })
+      .catch(done);
+  });
+});
@@ -0,0 +1,141 @@
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var assert = require('assert');
+var { createStore, applyMiddleware } = require('redux');
+var configureMiddleware = require('../../src/middleware');
+var devtools = require('../../src/devtools');
+
+function reducer (state = { actions: [] }, action) {
+  switch (action.type) {
+    case 'SET_USER': {
+      return Object.assign({}, state, {
+        user: action.user,
+        actions: state.actions.concat(action)
+      });
+    }
+    default:
+      return state;
+  }
+}
+
+/**
+ * Test helpers
+ */
+function setUser ({ args, dispatch }) {
+  dispatch({ type: 'SET_USER', user: args.user, meta: { source: 'login' } });
+}
+
+function fetchUser ({ output }) {
+  setTimeout(() => output.success({ user: 'John' }));
+}
+
+function noop () {}
+
+/**
+ * Cases
+ */
+lab.experiment('#devtools', function () {
+  var connection;
+  var store;
+
+  lab.beforeEach(function (done) {
+    connection = devtools.createLocalConnection();
+    store = createStore(reducer, applyMiddleware(configureMiddleware({
+      devTools: connection,
+      logError: noop,
+      signals: {
+        login: [[fetchUser, { success: [setUser] }]]
+      }
+    })));
+    done();
+  });
+
+  lab.test('should init connection with store state', (done) => {
+    assert.deepEqual(connection.messages, [{ type: 'INIT', state: { actions: [] } }]);
+    done();
+  });
+
+  lab.test('should annotate dispatched redux actions with signal meta', (done) => {
+    var handle = store.dispatch('login');
+
+    handle.promise
+      .then(() => {
+        var action = store.getState().actions[0];
+
+        assert.deepEqual(action.meta, {
+          source: 'login',
+          appstate: { signal: 'login', id: handle.id, path: [0, 0, 'outputs', 'success', 0] }
+        });
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should send execution tree of finished signal with state', (done) => {
+    var handle = store.dispatch('login');
+
+    handle.promise
+      .then(() => {
+        var message = connection.messages[1];
+
+        assert.equal(message.type, 'ACTION');
+        assert.equal(message.action.type, '@@appstate/SIGNAL login');
+        assert.equal(message.action.signal.id, handle.id);
+        assert.equal(message.action.signal.executions['0.0'].outputPath, 'success');
+        assert.equal(message.state.user, 'John');
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should send failed signal', (done) => {
+    function fail () {
+      throw new Error('fail');
+    }
+
+    store.dispatch([fail]).promise
+      .catch(() => {
+        setImmediate(() => {
+          var message = connection.messages[1];
+
+          assert.equal(message.action.type, '@@appstate/SIGNAL anonymous');
+          assert.deepEqual(message.action.signal.error, { name: 'Error', message: 'fail' });
+          done();
+        });
+      });
+  });
+
+  lab.test('should not annotate redux actions without DevTools', (done) => {
+    store = createStore(reducer, applyMiddleware(configureMiddleware()));
+
+    store.dispatch([setUser], { user: 'John' }).promise
+      .then(() => {
+        assert.deepEqual(store.getState().actions[0].meta, { source: 'login' });
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should connect to DevTools extension if it is installed', (done) => {
+    assert.equal(devtools.connect(true), null);
+
+    global.window = {
+      __REDUX_DEVTOOLS_EXTENSION__: {
+        connect: options => ({ options })
+      }
+    };
+
+    try {
+      assert.deepEqual(devtools.connect(true), { options: { name: 'appstate' } });
+    } finally {
+      delete global.window;
+    }
+
+    done();
+  });
+
+  lab.test('should throw on incorrect connection', (done) => {
+    assert.throws(() => devtools.connect({}), /DevTools connection should have "init" and "send" methods/);
+    done();
+  });
+});
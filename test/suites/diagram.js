@@ -0,0 +1,192 @@
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var assert = require('assert');
+var { createStore } = require('redux');
+var appstate = require('../../src/appstate');
+var diagram = require('../../src/diagram');
+
+function reducer (state = {}) {
+  return state;
+}
+
+/**
+ * Test helpers
+ */
+function checkUser ({ output }) {
+  output.valid();
+}
+
+function fetchUser ({ output }) {
+  setTimeout(() => output.success({ user: 'John' }));
+}
+
+function fetchSettings ({ output }) {
+  setTimeout(() => output({ settings: {} }));
+}
+
+function setUser () {}
+
+function showError () {}
+
+var login = [
+  checkUser, {
+    valid: [
+      [
+        fetchUser, {
+          success: [setUser],
+          error: [showError]
+        },
+        fetchSettings
+      ]
+    ],
+    invalid: [showError]
+  }
+];
+
+/**
+ * Cases
+ */
+lab.experiment('#diagram', function () {
+  lab.test('should export signal definition to Mermaid', (done) => {
+    assert.equal(diagram.toMermaid(login, { name: 'login' }), [
+      'flowchart TD',
+      '  start(["login"])',
+      '  a_0["checkUser"]',
+      '  a_0_outputs_invalid_0["showError"]',
+      '  subgraph g_0_outputs_valid_0 ["parallel"]',
+      '    a_0_outputs_valid_0_0["fetchUser"]',
+      '    a_0_outputs_valid_0_0_outputs_success_0["setUser"]',
+      '    a_0_outputs_valid_0_0_outputs_error_0["showError"]',
+      '    a_0_outputs_valid_0_1["fetchSettings"]',
+      '  end',
+      '  finish(["end"])',
+      '  start --> a_0',
+      '  a_0 -->|valid| a_0_outputs_valid_0_0',
+      '  a_0_outputs_valid_0_0 -->|success| a_0_outputs_valid_0_0_outputs_success_0',
+      '  a_0_outputs_valid_0_0 -->|error| a_0_outputs_valid_0_0_outputs_error_0',
+      '  a_0 -->|valid| a_0_outputs_valid_0_1',
+      '  a_0 -->|invalid| a_0_outputs_invalid_0',
+      '  a_0_outputs_valid_0_0_outputs_success_0 --> finish',
+      '  a_0_outputs_valid_0_0_outputs_error_0 --> finish',
+      '  a_0_outputs_valid_0_1 --> finish',
+      '  a_0_outputs_invalid_0 --> finish',
+      ''
+    ].join('\n'));
+    done();
+  });
+
+  lab.test('should export compiled signal to DOT', (done) => {
+    var dot = diagram.toDot(appstate.create(login, { name: 'login' }));
+
+    assert(dot.indexOf('digraph "login" {') === 0);
+    assert(dot.indexOf('  subgraph cluster_g_0_outputs_valid_0 {\n    label="parallel";') !== -1);
+    assert(dot.indexOf('  a_0 -> a_0_outputs_valid_0_0 [label="valid"];') !== -1);
+    assert(dot.indexOf('  a_0_outputs_valid_0_1 -> finish;') !== -1);
+    assert(dot.indexOf('filled') === -1);
+    done();
+  });
+
+  lab.test('should highlight path taken and status of executed signal', (done) => {
+    appstate.create(login, { name: 'login' })(createStore(reducer))
+      .then((signal) => {
+        var mermaid = diagram.toMermaid(signal);
+        var dot = diagram.toDot(signal);
+
+        assert(mermaid.indexOf(
+          '  class a_0,a_0_outputs_valid_0_0,a_0_outputs_valid_0_0_outputs_success_0,a_0_outputs_valid_0_1 executed'
+        ) !== -1);
+        assert(mermaid.indexOf('  linkStyle 0,1,2,4,6,8 stroke:#2e7d32,stroke-width:2px') !== -1);
+
+        assert(dot.indexOf('  a_0 [label="checkUser", style="rounded,filled", fillcolor="#c8e6c9"];') !== -1);
+        assert(dot.indexOf('  a_0_outputs_invalid_0 [label="showError"];') !== -1);
+        assert(dot.indexOf('  a_0 -> a_0_outputs_valid_0_0 [label="valid", color="#2e7d32", penwidth=2];') !== -1);
+        assert(dot.indexOf('  a_0 -> a_0_outputs_invalid_0 [label="invalid"];') !== -1);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should show failed action', (done) => {
+    function fail () {
+      throw new Error('fail');
+    }
+
+    var signal = appstate.create([fail]);
+    var handle = signal.run(createStore(reducer));
+
+    handle.promise
+      .catch(() => {
+        var mermaid = diagram.toMermaid(handle.signal);
+
+        assert(mermaid.indexOf('  class a_0 failed') !== -1);
+        assert(mermaid.indexOf('  linkStyle 0 stroke') !== -1);
+        done();
+      });
+  });
+
+  lab.test('should show cancelled action', (done) => {
+    function wait () {}
+
+    var handle = appstate.create([[wait]]).run(createStore(reducer));
+
+    handle.cancel();
+    handle.promise
+      .then((signal) => {
+        var dot = diagram.toDot(signal);
+
+        assert(dot.indexOf('a_0_0 [label="wait", style="rounded,filled", fillcolor="#eeeeee"];') !== -1);
+        assert(dot.indexOf('  a_0_0 -> finish;') !== -1);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should escape labels', (done) => {
+    function action () {}
+
+    var dot = diagram.toDot([action], { name: 'say "hi"' });
+    var mermaid = diagram.toMermaid([action], { name: 'say "hi"' });
+
+    assert(dot.indexOf('digraph "say \\"hi\\"" {') === 0);
+    assert(mermaid.indexOf('start(["say #quot;hi#quot;"])') !== -1);
+    done();
+  });
+
+  lab.test('should collapse sub-signal to single node', (done) => {
+    var authorize = appstate.subSignal('authorize', [checkUser, { valid: [], invalid: [] }]);
+    var actions = [authorize, { valid: [setUser] }];
+
+    var mermaid = diagram.toMermaid(actions);
+    var dot = diagram.toDot(actions);
+
+    assert(mermaid.indexOf('  a_0[["authorize"]]') !== -1);
+    assert(mermaid.indexOf('checkUser') === -1);
+    assert(mermaid.indexOf('  a_0 -->|valid| a_0_outputs_valid_0') !== -1);
+    assert(dot.indexOf('  a_0 [label="authorize", shape=component];') !== -1);
+    done();
+  });
+
+  lab.test('should draw sequence inside of parallel group as lane', (done) => {
+    var actions = [appstate.parallel([fetchUser, appstate.sequence([setUser, fetchSettings])])];
+
+    var mermaid = diagram.toMermaid(actions);
+
+    assert(mermaid.indexOf('  subgraph g_0 ["parallel"]') !== -1);
+    assert(mermaid.indexOf('  start --> a_0_1_0') !== -1);
+    assert(mermaid.indexOf('  a_0_1_0 --> a_0_1_1') !== -1);
+    assert(mermaid.indexOf('  a_0_0 --> finish') !== -1);
+    assert(mermaid.indexOf('  a_0_1_1 --> finish') !== -1);
+    done();
+  });
+
+  lab.test('should pass entries of empty parallel group to next action', (done) => {
+    var mermaid = diagram.toMermaid([[]]);
+    var dot = diagram.toDot([setUser, appstate.parallel([]), [[], fetchUser]]);
+
+    assert(mermaid.indexOf('  start --> finish') !== -1);
+    assert(mermaid.indexOf('subgraph') === -1);
+    assert(dot.indexOf('  a_0 -> a_2_1;') !== -1);
+    assert.equal((dot.match(/subgraph/g) || []).length, 1);
+    done();
+  });
+});
@@ -0,0 +1,58 @@
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var assert = require('assert');
+var createEmitter = require('../../src/emitter');
+
+lab.experiment('#emitter', () => {
+  lab.test('should call listeners of event type and wildcard listeners', (done) => {
+    var emitter = createEmitter();
+    var calls = [];
+
+    emitter.on('signalStart', event => calls.push(['signalStart', event.type]));
+    emitter.on('*', event => calls.push(['*', event.type]));
+
+    emitter.emit('signalStart', { type: 'signalStart' });
+    emitter.emit('signalEnd', { type: 'signalEnd' });
+
+    assert.deepEqual(calls, [
+      ['signalStart', 'signalStart'],
+      ['*', 'signalStart'],
+      ['*', 'signalEnd']
+    ]);
+    done();
+  });
+
+  lab.test('should report if event has listeners', (done) => {
+    var emitter = createEmitter();
+
+    assert.equal(emitter.hasListeners('signalStart'), false);
+
+    var off = emitter.on('*', () => {});
+
+    assert.equal(emitter.hasListeners('signalStart'), true);
+
+    off();
+
+    assert.equal(emitter.hasListeners('signalStart'), false);
+    done();
+  });
+
+  lab.test('should pass listener errors to onError and call other listeners', (done) => {
+    var errors = [];
+    var emitter = createEmitter((e, event) => errors.push([e.message, event.type]));
+    var called = false;
+
+    emitter.on('signalStart', () => {
+      throw new Error('broken');
+    });
+    emitter.on('signalStart', () => {
+      called = true;
+    });
+
+    emitter.emit('signalStart', { type: 'signalStart' });
+
+    assert.deepEqual(errors, [['broken', 'signalStart']]);
+    assert.equal(called, true);
+    done();
+  });
+});
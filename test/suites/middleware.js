@@ -17,6 +17,16 @@ function reducer (state = {}, action) {
   }
 }
 
+function noop () {}
+
+function fetchResults ({ args, output }) {
+  setTimeout(() => output({ results: args.query }), args.delay);
+}
+
+function setResults ({ args, dispatch }) {
+  dispatch({ type: 'SET_PROPERTY', name: 'results', value: args.results });
+}
+
 lab.experiment('#middleware', () => {
   var store;
 
@@ -87,5 +97,335 @@ lab.experiment('#middleware', () => {
       ]
     ]);
   });
-});
 
+  lab.test('should return signal handle from dispatch', (done) => {
+    function async ({ output }) {
+      setTimeout(() => output.success({ async: true }), 0);
+    }
+
+    const handle = store.dispatch([
+      [
+        async, {
+          success: [noop]
+        }
+      ]
+    ], { test: 'test' });
+
+    assert.equal(typeof handle.id, 'number');
+    assert(handle.isExecuting);
+    assert.deepEqual(handle.path, [0, 0]);
+    assert.equal(handle.signal.args.test, 'test');
+
+    handle.promise
+      .then((signal) => {
+        assert.strictEqual(signal, handle.signal);
+        assert(signal.args.async);
+        assert(!handle.isExecuting);
+        assert.equal(handle.path, null);
+
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should give unique id to every signal run', (done) => {
+    const first = store.dispatch([ noop ]);
+    const second = store.dispatch([ noop ]);
+
+    assert.notEqual(first.id, second.id);
+
+    done();
+  });
+
+  lab.test('should reject handle promise if signal fails', (done) => {
+    function sync () {
+      throw new Error('fail');
+    }
+
+    store = createStore(reducer, applyMiddleware(configureMiddleware({ logError: noop })));
+
+    store.dispatch([ sync ]).promise
+      .catch((e) => {
+        assert.equal(e.message, 'fail');
+        done();
+      });
+  });
+
+  lab.test('should cancel signal with handle returned from dispatch', (done) => {
+    function async ({ abortSignal, output }) {
+      setTimeout(() => {
+        assert(abortSignal.aborted);
+        output.success();
+      }, 0);
+    }
+
+    function success ({ dispatch }) {
+      dispatch({
+        type: 'SET_PROPERTY',
+        name: 'hello',
+        value: 'world'
+      });
+    }
+
+    const handle = store.dispatch([
+      [
+        async, {
+          success: [success]
+        }
+      ]
+    ]);
+
+    handle.cancel();
+
+    handle.promise
+      .then((signal) => {
+        assert(signal.isCancelled);
+
+        setTimeout(() => {
+          assert.equal(store.getState().hello, undefined);
+          done();
+        }, 10);
+      })
+      .catch(done);
+  });
+
+  lab.test('should dispatch registered signal by name', (done) => {
+    function sync ({ args, dispatch }) {
+      dispatch({
+        type: 'SET_PROPERTY',
+        name: 'user',
+        value: args.user
+      });
+    }
+
+    store = createStore(reducer, applyMiddleware(configureMiddleware({
+      signals: {
+        login: [ sync ]
+      }
+    })));
+
+    const handle = store.dispatch('login', { user: 'admin' });
+
+    handle.promise
+      .then((signal) => {
+        assert.equal(signal.name, 'login');
+        assert.equal(store.getState().user, 'admin');
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should throw if dispatched signal name is not registered', (done) => {
+    assert.throws(() => store.dispatch('logout'), /Signal "logout" is not registered/);
+    done();
+  });
+
+  lab.test('should throw on configure if registered signal defined incorrect', (done) => {
+    assert.throws(() => configureMiddleware({
+      signals: {
+        login: [ undefined ]
+      }
+    }), /signal "login"/);
+    done();
+  });
+
+  lab.test('should pass signal name to logError', (done) => {
+    function sync () {
+      throw new Error('fail');
+    }
+
+    function logError (e, signal) {
+      assert.equal(e.signalName, 'login');
+      assert.equal(signal.name, 'login');
+      done();
+    }
+
+    store = createStore(reducer, applyMiddleware(configureMiddleware({
+      logError,
+      signals: {
+        login: [ sync ]
+      }
+    })));
+
+    store.dispatch('login');
+  });
+
+  lab.test('should emit lifecycle events of dispatched signals', (done) => {
+    function sync ({ output }) {
+      output({ name: 'John' });
+    }
+
+    var middleware = configureMiddleware({
+      signals: {
+        login: [ sync ]
+      }
+    });
+    var types = [];
+
+    middleware.on('*', event => types.push(`${event.signalName}:${event.type}`));
+
+    store = createStore(reducer, applyMiddleware(middleware));
+
+    Promise.all([
+      store.dispatch('login').promise,
+      store.dispatch([ sync ]).promise
+    ])
+      .then(() => {
+        assert.deepEqual(types.filter(type => type.indexOf('login') === 0), [
+          'login:signalStart', 'login:actionStart', 'login:actionOutput', 'login:actionEnd', 'login:signalEnd'
+        ]);
+        assert.equal(types.length, 10);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should cancel older runs of takeLatest signal', (done) => {
+    var successes = [];
+
+    store = createStore(reducer, applyMiddleware(configureMiddleware({
+      logSuccess: signal => successes.push(signal),
+      signals: {
+        search: { actions: [[fetchResults], setResults], concurrency: 'takeLatest' }
+      }
+    })));
+
+    var first = store.dispatch('search', { query: 'a', delay: 20 });
+    var second = store.dispatch('search', { query: 'ab', delay: 0 });
+
+    Promise.all([first.promise, second.promise])
+      .then(([stale, fresh]) => {
+        assert(stale.isCancelled);
+        assert.equal(stale.cancelReason, 'superseded');
+        assert(!fresh.isCancelled);
+        assert.equal(store.getState().results, 'ab');
+        assert.deepEqual(successes.map(signal => signal.id), [first.id, second.id]);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should drop new runs of takeFirst signal while one is executing', (done) => {
+    var successes = [];
+
+    store = createStore(reducer, applyMiddleware(configureMiddleware({
+      logSuccess: signal => successes.push(signal),
+      signals: {
+        search: { actions: [[fetchResults], setResults], concurrency: 'takeFirst' }
+      }
+    })));
+
+    var first = store.dispatch('search', { query: 'a', delay: 10 });
+    var second = store.dispatch('search', { query: 'ab', delay: 0 });
+
+    assert.equal(second.id, null);
+    assert(!second.isExecuting);
+
+    Promise.all([first.promise, second.promise])
+      .then(([taken, dropped]) => {
+        assert(!taken.isCancelled);
+        assert.equal(dropped.name, 'search');
+        assert(dropped.isCancelled);
+        assert.equal(dropped.cancelReason, 'dropped');
+        assert.deepEqual(dropped.args, { query: 'ab', delay: 0 });
+        assert.equal(store.getState().results, 'a');
+        assert.deepEqual(successes, [dropped, taken]);
+
+        return store.dispatch('search', { query: 'abc', delay: 0 }).promise;
+      })
+      .then((signal) => {
+        assert(!signal.isCancelled);
+        assert.equal(store.getState().results, 'abc');
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should run queued signals serially', (done) => {
+    var order = [];
+
+    function track ({ args }) {
+      order.push(args.query);
+    }
+
+    store = createStore(reducer, applyMiddleware(configureMiddleware({
+      signals: {
+        search: { actions: [track, [fetchResults], setResults], concurrency: 'queue' }
+      }
+    })));
+
+    var first = store.dispatch('search', { query: 'a', delay: 10 });
+    var second = store.dispatch('search', { query: 'ab', delay: 0 });
+    var third = store.dispatch('search', { query: 'abc', delay: 0 });
+
+    assert(second.isQueued);
+    assert.equal(second.signal, null);
+    assert(third.cancel('changed'));
+
+    Promise.all([first.promise, second.promise, third.promise])
+      .then(([, queued, cancelled]) => {
+        assert.deepEqual(order, ['a', 'ab']);
+        assert.equal(queued.id, second.id);
+        assert(!second.isQueued);
+        assert.equal(store.getState().results, 'ab');
+        assert(cancelled.isCancelled);
+        assert.equal(cancelled.cancelReason, 'changed');
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should share runs of signals in exclusive group', (done) => {
+    var errors = [];
+
+    function fail () {
+      throw new Error('fail');
+    }
+
+    store = createStore(reducer, applyMiddleware(configureMiddleware({
+      logError: e => errors.push(e.message),
+      signals: {
+        save: { actions: [[fetchResults], setResults], group: 'document' },
+        remove: { actions: [fail], group: 'document' },
+        load: { actions: [[fetchResults], setResults], group: 'document', concurrency: 'takeLatest' }
+      }
+    })));
+
+    var save = store.dispatch('save', { query: 'saved', delay: 10 });
+    var remove = store.dispatch('remove');
+
+    assert(remove.isQueued);
+
+    remove.promise
+      .then(() => done(new Error('Signal should fail')), (e) => {
+        assert.equal(e.message, 'fail');
+        assert.deepEqual(errors, ['fail']);
+        assert.equal(store.getState().results, 'saved');
+
+        var cancelled = store.dispatch('save', { query: 'saved', delay: 10 });
+        var loaded = store.dispatch('load', { query: 'loaded', delay: 0 });
+
+        return Promise.all([save.promise, cancelled.promise, loaded.promise]);
+      })
+      .then(([, cancelled]) => {
+        assert.equal(cancelled.cancelReason, 'superseded');
+        assert.equal(store.getState().results, 'loaded');
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should throw on configure if concurrency of signal is incorrect', (done) => {
+    assert.throws(() => configureMiddleware({
+      signals: {
+        search: { actions: [noop], concurrency: 'takeAll' }
+      }
+    }), /Unknown concurrency "takeAll" of signal "search", expected "takeEvery", "takeLatest", "takeFirst", "queue"/);
+    assert.throws(() => configureMiddleware({
+      signals: {
+        search: { actions: [noop], concurrency: 'takeEvery', group: 'list' }
+      }
+    }), /Signal "search" in group "list" should use "takeLatest", "takeFirst" or "queue" concurrency/);
+    done();
+  });
+});
@@ -0,0 +1,197 @@
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var assert = require('assert');
+var { createStore } = require('redux');
+var appstate = require('../../src/appstate');
+var { when, equals, wait, set, dispatchAction, debounce } = require('../../src/operators');
+
+function reducer (state = { user: null, isLoggedIn: false }, action) {
+  switch (action.type) {
+    case 'SET_USER': {
+      return Object.assign({}, state, { user: action.user });
+    }
+    default:
+      return state;
+  }
+}
+
+/**
+ * Test helpers
+ */
+function noop () {}
+
+function getPaths (signal) {
+  return Object.keys(signal.executions).reduce((result, key) => {
+    var execution = signal.executions[key];
+
+    result[execution.name] = execution.outputPath;
+    return result;
+  }, {});
+}
+
+/**
+ * Cases
+ */
+lab.experiment('#operators', function () {
+  var store;
+
+  lab.beforeEach(function(done) {
+    store = createStore(reducer);
+    done();
+  });
+
+  lab.test('should branch on state selector with when', (done) => {
+    function isLoggedIn (state) {
+      return state.isLoggedIn;
+    }
+
+    var signal = appstate.create([
+      when(isLoggedIn), {
+        true: [set('page', 'profile')],
+        false: [set('page', 'login')]
+      }
+    ]);
+
+    signal.run(store).promise
+      .then((result) => {
+        assert.equal(result.args.page, 'login');
+        assert.deepEqual(getPaths(result), { 'when(isLoggedIn)': 'false', 'set(page)': undefined });
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should check outputs object of when and debounce on signal create', (done) => {
+    assert.throws(() => appstate.create([when(noop), { true: [] }]), (e) => {
+      return e.message.indexOf('Action "when(noop)" declares outputs "true", "false", but outputs object has missing "false"') !== -1;
+    });
+
+    done();
+  });
+
+  lab.test('should branch on value of arg with equals', (done) => {
+    var signal = appstate.create([
+      equals('user.role'), {
+        admin: [set('page', 'dashboard')],
+        otherwise: [set('page', 'profile')]
+      }
+    ]);
+
+    Promise
+      .all([
+        signal.run(store, {}, { user: { role: 'admin' } }).promise,
+        signal.run(store, {}, { user: { role: 'guest' } }).promise,
+        signal.run(store, {}, {}).promise
+      ])
+      .then((results) => {
+        assert.deepEqual(results.map(result => result.args.page), ['dashboard', 'profile', 'profile']);
+        assert.equal(results[0].executions['0'].name, 'equals(user.role)');
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should branch only on declared outputs in equals', (done) => {
+    var signal = appstate.create([
+      equals('method'), {
+        call: [set('page', 'call')],
+        otherwise: [set('page', 'otherwise')]
+      }
+    ]);
+
+    Promise
+      .all(['call', 'bind', 'toString', 'name', 'length', 'prototype'].map((method) => {
+        return signal.run(store, {}, { method }).promise;
+      }))
+      .then((results) => {
+        assert.deepEqual(
+          results.map(result => result.args.page),
+          ['call', 'otherwise', 'otherwise', 'otherwise', 'otherwise', 'otherwise']
+        );
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should compute value of set and dispatch redux action', (done) => {
+    var signal = appstate.create([
+      set('user', args => ({ name: args.name })),
+      dispatchAction(args => ({ type: 'SET_USER', user: args.user })),
+      dispatchAction({ type: 'RESET_FORM' })
+    ]);
+    var dispatched = [];
+
+    signal.on('actionDispatch', event => dispatched.push([event.name, event.reduxAction.type]));
+
+    signal.run(store, {}, { name: 'John' }).promise
+      .then(() => {
+        assert.deepEqual(store.getState().user, { name: 'John' });
+        assert.deepEqual(dispatched, [['dispatchAction(creator)', 'SET_USER'], ['dispatchAction(RESET_FORM)', 'RESET_FORM']]);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should fail if dispatchAction is used as async action', (done) => {
+    appstate.create([[dispatchAction({ type: 'RESET_FORM' })]]).run(store).promise
+      .then(() => done(new Error('Signal should fail')), (e) => {
+        assert.equal(e.message, 'State: Operator "dispatchAction(RESET_FORM)" should be sync action, async actions can not dispatch');
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should wait in sync and async positions', (done) => {
+    var start = Date.now();
+    var signal = appstate.create([wait(20), [wait(20), set('isWaited', true)]]);
+
+    signal.run(store).promise
+      .then((result) => {
+        assert(Date.now() - start >= 35);
+        assert.equal(result.args.isWaited, true);
+        assert.equal(result.executions['0'].name, 'wait(20)');
+        assert(result.executions['1.0'].isAsync);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should stop waiting when signal is cancelled', (done) => {
+    var signal = appstate.create([wait(1000), set('isWaited', true)]);
+    var handle = signal.run(store);
+
+    handle.cancel();
+    handle.promise
+      .then((result) => {
+        assert(result.isCancelled);
+        assert.equal(result.args.isWaited, undefined);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should continue only the last call of debounce', (done) => {
+    var signal = appstate.create([
+      debounce(10), {
+        continue: [set('isContinued', true)],
+        discard: [set('isContinued', false)]
+      }
+    ]);
+
+    var first = signal.run(store, {}, {}).promise;
+    var second = signal.run(store, {}, {}).promise;
+
+    Promise.all([first, second])
+      .then((results) => {
+        assert.deepEqual(results.map(result => result.args.isContinued), [false, true]);
+        assert.deepEqual(getPaths(results[1]), { 'debounce(10)': 'continue', 'set(isContinued)': undefined });
+
+        return signal.run(store, {}, {}).promise;
+      })
+      .then((result) => {
+        assert.equal(result.args.isContinued, true);
+        done();
+      })
+      .catch(done);
+  });
+});
@@ -0,0 +1,221 @@
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var assert = require('assert');
+var { createStore, applyMiddleware } = require('redux');
+var configureMiddleware = require('../../src/middleware');
+var appstate = require('../../src/appstate');
+var replay = require('../../src/replay');
+
+function reducer (state = { user: null }, action) {
+  switch (action.type) {
+    case 'SET_USER': {
+      return Object.assign({}, state, { user: action.user });
+    }
+    default:
+      return state;
+  }
+}
+
+/**
+ * Test helpers
+ */
+var calls;
+
+function fetchUser ({ args, output }) {
+  calls += 1;
+  setTimeout(() => {
+    if (args.id === 1) {
+      output.success({ user: 'John' });
+    } else {
+      output.error({ reason: 'not found' });
+    }
+  });
+}
+
+function setUser ({ args, dispatch }) {
+  dispatch({ type: 'SET_USER', user: args.user });
+}
+
+function showError () {}
+
+function noop () {}
+
+var login = [
+  [
+    fetchUser, {
+      success: [setUser],
+      error: [showError]
+    }
+  ]
+];
+
+/**
+ * Cases
+ */
+lab.experiment('#replay', function () {
+  var recordings;
+  var middleware;
+  var store;
+
+  lab.beforeEach(function (done) {
+    calls = 0;
+    recordings = [];
+    middleware = configureMiddleware({
+      logError: noop,
+      recorder: recording => recordings.push(recording),
+      signals: { login }
+    });
+    store = createStore(reducer, applyMiddleware(middleware));
+    done();
+  });
+
+  lab.test('should record signal run', (done) => {
+    store.dispatch('login', { id: 1 }).promise
+      .then(() => {
+        var recording = JSON.parse(JSON.stringify(recordings[0]));
+
+        assert.equal(recordings.length, 1);
+        assert.equal(recording.version, 1);
+        assert.equal(recording.signal, 'login');
+        assert.deepEqual(recording.args, { id: 1 });
+        assert.deepEqual(recording.state, { user: null });
+        assert.deepEqual(recording.asyncActionResults, [{
+          outputPath: [0, 0],
+          attempt: 1,
+          path: 'success',
+          args: { user: 'John' }
+        }]);
+        assert.deepEqual(recording.dispatched, [{
+          path: [0, 0, 'outputs', 'success', 0],
+          action: { type: 'SET_USER', user: 'John' }
+        }]);
+        assert.equal(recording.executions['0.0'].outputPath, 'success');
+        assert.equal(recording.error, null);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should replay recording without calling async actions', (done) => {
+    store.dispatch('login', { id: 1 }).promise
+      .then(() => {
+        var replayStore = createStore(reducer);
+
+        return middleware.replay(JSON.stringify(recordings[0]), replayStore)
+          .then((result) => {
+            assert.equal(calls, 1);
+            assert.deepEqual(result.divergences, []);
+            assert.equal(result.signal.executions['0.0'].outputPath, 'success');
+            assert.equal(replayStore.getState().user, 'John');
+            done();
+          });
+      })
+      .catch(done);
+  });
+
+  lab.test('should report different path and dispatched actions', (done) => {
+    var signal = appstate.create(login, { name: 'login' });
+
+    store.dispatch('login', { id: 1 }).promise
+      .then(() => {
+        var recording = recordings[0];
+
+        // Result of fetchUser changed, replay goes to "error" output
+        recording.asyncActionResults[0].path = 'error';
+
+        return replay.replay(signal, recording, createStore(reducer));
+      })
+      .then((result) => {
+        assert.deepEqual(result.divergences.map(divergence => divergence.type), ['path', 'path', 'path', 'dispatch']);
+        assert.deepEqual(result.divergences[0], {
+          type: 'path',
+          path: [0, 0],
+          message: 'Action "fetchUser" took output "error" instead of "success"',
+          expected: 'success',
+          actual: 'error'
+        });
+        assert.equal(result.divergences[1].message, 'Action "setUser" was not executed');
+        assert.equal(result.divergences[2].message, 'Action "showError" was not executed in recording');
+        assert.deepEqual(result.divergences[3].expected, [{ type: 'SET_USER', user: 'John' }]);
+        assert.deepEqual(result.divergences[3].actual, []);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should report different initial state and missing async results', (done) => {
+    store.dispatch('login', { id: 1 }).promise
+      .then(() => {
+        var recording = recordings[0];
+
+        recording.asyncActionResults = [];
+
+        return middleware.replay(recording, createStore(reducer, { user: 'Bob' }));
+      })
+      .then((result) => {
+        assert.equal(calls, 1);
+        assert.deepEqual(result.divergences.map(divergence => divergence.type), [
+          'state', 'result', 'path', 'path', 'dispatch', 'error'
+        ]);
+        assert.equal(result.divergences[1].message, 'Action "fetchUser" has no recorded result');
+        assert(/Action "fetchUser" at path \[0,0\] in signal "login" has no recorded result/.test(
+          result.divergences[5].actual.message
+        ));
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should report promise returning sync action called on replay', (done) => {
+    var saves = 0;
+
+    function saveUser ({ args, dispatch }) {
+      saves += 1;
+
+      return Promise.resolve().then(() => dispatch({ type: 'SET_USER', user: args.user }));
+    }
+
+    var signal = appstate.create([[fetchUser, { success: [saveUser], error: [showError] }]], { name: 'login' });
+    var recorded = [];
+    var recorder = replay.createRecorder(store, recording => recorded.push(recording));
+    var off = signal.on('*', recorder.listener);
+    var handle = signal.run(store, {}, { id: 1 });
+
+    recorder.finish(handle);
+
+    handle.promise
+      .then(() => {
+        off();
+
+        return replay.replay(signal, recorded[0], createStore(reducer));
+      })
+      .then((result) => {
+        assert.equal(calls, 1);
+        assert.equal(saves, 2);
+        assert(result.signal.executions['0.0.outputs.success.0'].isPromise);
+        assert(!result.signal.executions['0.0'].isPromise);
+        assert.deepEqual(result.divergences, [{
+          type: 'result',
+          path: [0, 0, 'outputs', 'success', 0],
+          message: 'Sync action "saveUser" returned promise, it was called on replay instead of recorded result',
+          expected: null,
+          actual: null
+        }]);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should throw on replay of not registered signal', (done) => {
+    assert.throws(() => middleware.replay({ version: 1, signal: 'logout' }, store), /Signal "logout" is not registered/);
+    done();
+  });
+
+  lab.test('should throw on unsupported recording version', (done) => {
+    assert.throws(
+      () => replay.replay(appstate.create(login), { version: 2 }, store),
+      /Recording version 2 is not supported/
+    );
+    done();
+  });
+});
@@ -0,0 +1,254 @@
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var assert = require('assert');
+var { createStore } = require('redux');
+var appstate = require('../../src/appstate');
+var schema = require('../../src/schema');
+
+function reducer (state = {}) {
+  return state;
+}
+
+/**
+ * Test helpers
+ */
+function noop () {}
+
+function createAction (name, body, declarations) {
+  var action = { [name]: (...args) => body(...args) }[name];
+
+  return Object.assign(action, declarations);
+}
+
+function getErrors (diagnostics) {
+  return diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+}
+
+/**
+ * Cases
+ */
+lab.experiment('#schema', function () {
+  var store;
+
+  lab.beforeEach(function(done) {
+    store = createStore(reducer);
+    done();
+  });
+
+  lab.test('should check value against built-in schema', (done) => {
+    var userSchema = {
+      id: 'number',
+      user: { name: 'string', tags: 'array?' },
+      role: 'string?',
+      age: value => value > 0 || 'should be positive'
+    };
+
+    assert.deepEqual(schema.check(userSchema, { id: 1, user: { name: 'John' }, age: 20 }), []);
+    assert.deepEqual(schema.check(userSchema, { id: '1', user: { name: 'John', tags: {} }, role: null, age: -1 }), [
+      '"id" should be number, got string',
+      '"user.tags" should be array, got object',
+      '"role" should be string, got null',
+      '"age" should be positive'
+    ]);
+    assert.deepEqual(schema.check(userSchema, {}), ['"id" is required', '"user" is required', '"age" should be positive']);
+    assert.deepEqual(schema.check({ user: { name: 'string' } }, { user: 'John' }), ['"user" should be object, got string']);
+
+    done();
+  });
+
+  lab.test('should check external schema with validateSchema hook', (done) => {
+    var external = ['id'];
+    var validateSchema = (fields, value) => fields.filter(field => !value.hasOwnProperty(field)).map(field => `${field} is missing`);
+
+    assert.deepEqual(schema.check(external, {}, validateSchema), ['id is missing']);
+    assert.deepEqual(schema.check(external, { id: 1 }, validateSchema), []);
+    assert.deepEqual(schema.check(external, {}, () => false), ['value is invalid']);
+    assert.deepEqual(schema.check(external, {}), ['schema is not built-in and validateSchema hook is not passed']);
+
+    done();
+  });
+
+  lab.test('should report required args that are not provided by signal args or previous actions', (done) => {
+    var fetchUser = createAction('fetchUser', noop, {
+      requires: { id: 'number' },
+      provides: { success: { user: 'object' } }
+    });
+    var setUser = createAction('setUser', noop, { requires: { user: 'object', token: 'string' } });
+    var showError = createAction('showError', noop, { requires: { status: 'number' } });
+
+    var diagnostics = appstate.validate([
+      fetchUser, {
+        success: [setUser],
+        error: [showError]
+      }
+    ], { args: { id: 'string' } });
+
+    assert.deepEqual(getErrors(diagnostics), [
+      {
+        severity: 'error',
+        message: 'Action "fetchUser" requires arg "id" of type "number", but it is provided as "string"',
+        path: [0],
+        action: 'fetchUser'
+      },
+      {
+        severity: 'error',
+        message: 'Action "setUser" requires arg "token", that is not provided by signal args or previous actions',
+        path: [0, 'outputs', 'success', 0],
+        action: 'setUser'
+      },
+      {
+        severity: 'error',
+        message: 'Action "showError" requires arg "status", that is not provided by signal args or previous actions',
+        path: [0, 'outputs', 'error', 0],
+        action: 'showError'
+      }
+    ]);
+
+    done();
+  });
+
+  lab.test('should keep only args provided on every path to the action', (done) => {
+    var checkUser = createAction('checkUser', noop, {
+      provides: { valid: { user: 'object' }, invalid: { reason: 'string' }, '*': { checked: 'boolean' } }
+    });
+    var fetchSettings = createAction('fetchSettings', noop, { provides: { '*': { settings: 'object' } } });
+    var render = createAction('render', noop, { requires: { checked: 'boolean', settings: 'object', user: 'object' } });
+
+    var diagnostics = appstate.validate([
+      checkUser, {
+        valid: [],
+        invalid: []
+      },
+      [fetchSettings],
+      render
+    ], { args: {} });
+
+    assert.deepEqual(getErrors(diagnostics).map(diagnostic => diagnostic.message), [
+      'Action "render" requires arg "user", that is not provided by signal args or previous actions'
+    ]);
+
+    done();
+  });
+
+  lab.test('should not check required args after action without provides schema', (done) => {
+    var setUser = createAction('setUser', noop, { requires: { user: 'object' } });
+
+    assert.deepEqual(getErrors(appstate.validate([noop, setUser], { args: {} })), []);
+    assert.deepEqual(getErrors(appstate.validate([setUser])), []);
+
+    done();
+  });
+
+  lab.test('should report unknown types and external schemas without validateSchema hook', (done) => {
+    var fetchUser = createAction('fetchUser', noop, {
+      requires: { id: 'integer' },
+      provides: { success: { type: 'object' }, failure: { user: 'object' } }
+    });
+    var setUser = createAction('setUser', noop, { requires: ['user'] });
+
+    var diagnostics = appstate.validate([
+      fetchUser, {
+        success: [setUser]
+      }
+    ]);
+
+    assert.deepEqual(diagnostics.map(diagnostic => [diagnostic.severity, diagnostic.message]), [
+      ['error', 'Unknown type "integer" of "id" in requires schema of action "fetchUser"'],
+      ['warning', 'Action "fetchUser" provides schema of output "failure", that is not in outputs object'],
+      ['error', 'Unknown requires schema of action "setUser", pass validateSchema option to check external schemas']
+    ]);
+
+    assert.deepEqual(getErrors(appstate.validate([setUser], { validateSchema: () => [] })), []);
+
+    done();
+  });
+
+  lab.test('should throw all schema errors on signal create', (done) => {
+    var setUser = createAction('setUser', noop, { requires: { user: 'object' } });
+
+    assert.throws(() => appstate.create([setUser], { name: 'login', args: { id: 'number' } }), (e) => {
+      return e.message === 'State: Definition of signal "login" is incorrect:\n' +
+        '  error at [0]: Action "setUser" requires arg "user", that is not provided by signal args or previous actions' &&
+        e.diagnostics.length === 1;
+    });
+
+    done();
+  });
+
+  lab.test('should fail signal before action with invalid args', (done) => {
+    var isCalled = false;
+    var setUser = createAction('setUser', () => {
+      isCalled = true;
+    }, { requires: { user: { name: 'string' } } });
+
+    appstate.create([noop, setUser], { name: 'login' }).run(store, {}, { user: { name: 1 } })
+      .promise.then(() => done(new Error('Signal should fail')), (e) => {
+        assert.equal(
+          e.message,
+          'State: Action "setUser" at path [1] in signal "login" got invalid args: "user.name" should be string, got number.'
+        );
+        assert(!isCalled);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should fail signal before async action with invalid args', (done) => {
+    var isCalled = false;
+    var fetchUser = createAction('fetchUser', ({ output }) => {
+      isCalled = true;
+      output();
+    }, { requires: { id: 'number' } });
+
+    appstate.create([[fetchUser]]).run(store, {}, {})
+      .promise.then(() => done(new Error('Signal should fail')), (e) => {
+        assert.equal(e.message, 'State: Action "fetchUser" at path [0,0] got invalid args: "id" is required.');
+        assert(!isCalled);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should fail signal when action outputs args that do not match provides schema', (done) => {
+    var fetchUser = createAction('fetchUser', ({ output }) => {
+      setTimeout(() => output.success({ user: 'John' }));
+    }, { provides: { success: { user: 'object' }, '*': { source: 'string' } } });
+
+    appstate.create([[fetchUser, { success: [noop] }]]).run(store)
+      .promise.then(() => done(new Error('Signal should fail')), (e) => {
+        assert.equal(
+          e.message,
+          'State: Action "fetchUser" at path [0,0] called output "success" with invalid args: ' +
+            '"source" is required, "user" should be object, got string.'
+        );
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should run signal with valid args and outputs', (done) => {
+    var fetchUser = createAction('fetchUser', ({ output }) => {
+      setTimeout(() => output.success({ user: { name: 'John' } }));
+    }, { requires: { id: 'number' }, provides: { success: { user: { name: 'string' } } } });
+    var setUser = createAction('setUser', noop, { requires: { id: 'number', user: 'object' } });
+
+    appstate.create([[fetchUser, { success: [setUser] }]], { args: { id: 'number' } }).run(store, {}, { id: 1 })
+      .promise.then((signal) => {
+        assert.deepEqual(signal.args, { id: 1, user: { name: 'John' } });
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should check external schemas at runtime with validateSchema hook', (done) => {
+    var setUser = createAction('setUser', noop, { requires: ['user'] });
+    var validateSchema = (fields, value) => fields.filter(field => !value.hasOwnProperty(field)).map(field => `${field} is missing`);
+
+    appstate.create([setUser], { validateSchema }).run(store)
+      .promise.then(() => done(new Error('Signal should fail')), (e) => {
+        assert.equal(e.message, 'State: Action "setUser" at path [0] got invalid args: user is missing.');
+        done();
+      })
+      .catch(done);
+  });
+});
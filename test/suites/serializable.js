@@ -0,0 +1,165 @@
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var assert = require('assert');
+var { createStore } = require('redux');
+var appstate = require('../../src/appstate');
+var serializable = require('../../src/serializable');
+
+function reducer (state = {}) {
+  return state;
+}
+
+/**
+ * Test helpers
+ */
+function noop () {}
+
+class User {}
+
+/**
+ * Cases
+ */
+lab.experiment('#serializable', function () {
+  var store;
+
+  lab.beforeEach(function(done) {
+    store = createStore(reducer);
+    done();
+  });
+
+  lab.test('should accept JSON values', (done) => {
+    assert.deepEqual(serializable.check({
+      name: 'John',
+      age: 20,
+      isAdmin: false,
+      tags: ['a', { b: null }],
+      settings: Object.create(null)
+    }), []);
+
+    done();
+  });
+
+  lab.test('should report key path and type of every unserializable value', (done) => {
+    var args = {
+      user: { created: new Date(), model: new User() },
+      items: [1, undefined, [Symbol('a')]],
+      onDone: noop,
+      total: NaN,
+      limit: Infinity,
+      id: BigInt(1),
+      lookup: new Map()
+    };
+
+    assert.deepEqual(serializable.check(args), [
+      '"user.created" is Date',
+      '"user.model" is User',
+      '"items[1]" is undefined',
+      '"items[2][0]" is symbol',
+      '"onDone" is function',
+      '"total" is NaN',
+      '"limit" is Infinity',
+      '"id" is bigint',
+      '"lookup" is Map'
+    ]);
+    assert.deepEqual(serializable.check(noop), ['value is function']);
+
+    done();
+  });
+
+  lab.test('should report circular references', (done) => {
+    var user = { name: 'John', friends: [] };
+    var shared = { id: 1 };
+
+    user.friends.push(user);
+
+    assert.deepEqual(serializable.check({ user }), ['"user.friends[0]" is circular reference']);
+    assert.deepEqual(serializable.check({ first: shared, second: shared }), []);
+
+    done();
+  });
+
+  lab.test('should fail signal with unserializable args before any action runs', (done) => {
+    var isCalled = false;
+
+    appstate.create([() => {
+      isCalled = true;
+    }], { name: 'login' }).run(store, {}, { user: { created: new Date() }, onDone: noop })
+      .promise.then(() => done(new Error('Signal should fail')), (e) => {
+        assert(e instanceof Error);
+        assert.equal(e.message, 'State: Args of signal "login" are not serializable: "user.created" is Date, "onDone" is function.');
+        assert(!isCalled);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should fail signal when action outputs unserializable args', (done) => {
+    var isCalled = false;
+
+    function fetchUser ({ output }) {
+      setTimeout(() => output.success({ user: { friends: [new User()] } }));
+    }
+
+    function setUser () {
+      isCalled = true;
+    }
+
+    appstate.create([[fetchUser, { success: [setUser] }]]).run(store)
+      .promise.then(() => done(new Error('Signal should fail')), (e) => {
+        assert.equal(
+          e.message,
+          'State: Action "fetchUser" at path [0,0] called output "success" with args that are not serializable: ' +
+            '"user.friends[0]" is User.'
+        );
+        assert(!isCalled);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should warn about unserializable args in warn mode', (done) => {
+    var warnings = [];
+
+    function setUser ({ output }) {
+      output({ callback: noop });
+    }
+
+    var signal = appstate.create([setUser], {
+      serializeCheck: 'warn',
+      logWarning: warning => warnings.push(warning)
+    });
+
+    signal.run(store, {}, { created: new Date() })
+      .promise.then((result) => {
+        assert.deepEqual(warnings, [
+          {
+            message: 'State: Args of signal are not serializable: "created" is Date.',
+            name: null,
+            path: null
+          },
+          {
+            message: 'State: Action "setUser" at path [0] called output with args that are not serializable: "callback" is function.',
+            name: 'setUser',
+            path: [0]
+          }
+        ]);
+        assert.deepEqual(result.warnings, warnings);
+        assert.equal(result.args.callback, noop);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should skip check in ignore mode and throw on unknown mode', (done) => {
+    assert.throws(() => appstate.create([noop], { serializeCheck: 'log' }), (e) => {
+      return e.message === 'State: Unknown serializeCheck mode "log", expected "fail", "warn", "ignore"';
+    });
+
+    appstate.create([noop], { serializeCheck: 'ignore' }).run(store, {}, { created: new Date() })
+      .promise.then((result) => {
+        assert.deepEqual(result.warnings, []);
+        done();
+      })
+      .catch(done);
+  });
+});
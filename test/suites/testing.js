@@ -0,0 +1,166 @@
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var assert = require('assert');
+var appstate = require('../../src/appstate');
+var testing = require('../../src/testing');
+
+function reducer (state = {}, action) {
+  switch (action.type) {
+    case 'SET_USER': {
+      return Object.assign({}, state, { user: action.user });
+    }
+    default:
+      return state;
+  }
+}
+
+/**
+ * Test helpers
+ */
+function checkUser ({ args, output }) {
+  if (args.id) {
+    output.valid();
+  } else {
+    output.invalid();
+  }
+}
+
+function fetchUser ({ args, output, services }) {
+  services.api.fetchUser(args.id)
+    .then(user => output.success({ user }))
+    .catch(() => output.error());
+}
+
+function setUser ({ args, dispatch }) {
+  dispatch({ type: 'SET_LOADING', loading: false });
+  dispatch({ type: 'SET_USER', user: args.user });
+}
+
+function showError ({ dispatch }) {
+  dispatch({ type: 'SET_ERROR' });
+}
+
+var login = [
+  checkUser, {
+    valid: [
+      [
+        fetchUser, {
+          success: [setUser],
+          error: [showError]
+        }
+      ]
+    ],
+    invalid: [showError]
+  }
+];
+
+/**
+ * Cases
+ */
+lab.experiment('#testing', function () {
+  lab.test('should run signal with mocked async action by name', (done) => {
+    testing.runSignal(login, {
+      args: { id: 1 },
+      state: { user: null },
+      reducer,
+      mocks: {
+        fetchUser: { path: 'success', args: { user: 'John' } }
+      }
+    })
+      .then((result) => {
+        result
+          .assertPath('checkUser', 'valid')
+          .assertPath('fetchUser', 'success')
+          .assertNotExecuted('showError')
+          .assertDispatched(['SET_LOADING', 'SET_USER'])
+          .assertDispatched([{ type: 'SET_LOADING', loading: false }, { type: 'SET_USER', user: 'John' }])
+          .assertArgs({ id: 1, user: 'John' });
+
+        assert.equal(result.error, null);
+        assert.deepEqual(result.state, { user: 'John' });
+        assert.equal(result.outputPath([0, 'outputs', 'valid', 0, 0]), 'success');
+        assert.equal(result.outputPath('setUser'), null);
+        assert.strictEqual(result.outputPath('showError'), null);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should mock async action by path and error', (done) => {
+    var signal = appstate.create(login, { name: 'login' });
+
+    testing.runSignal(signal, {
+      args: { id: 1 },
+      mocks: {
+        '0.outputs.valid.0.0': { error: new Error('offline') }
+      }
+    })
+      .then((result) => {
+        assert.equal(result.error.message, 'offline');
+        assert.equal(result.error.signalName, 'login');
+        assert.deepEqual(result.state, {});
+        result.assertDispatched([]);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should mock every attempt of retried async action', (done) => {
+    var calls = 0;
+
+    function fetchRetried ({ output }) {
+      calls++;
+      output.success({ user: 'John' });
+    }
+
+    fetchRetried.retry = { attempts: 3, delay: 1000 };
+
+    var actions = [[fetchRetried, { success: [setUser], error: [showError] }]];
+
+    Promise
+      .all([
+        testing.runSignal(actions, { mocks: { fetchRetried: { path: 'error' } } }),
+        testing.runSignal(actions, { mocks: { fetchRetried: { error: 'offline' } } })
+      ])
+      .then((results) => {
+        assert.equal(calls, 0);
+        results[0].assertPath('fetchRetried', 'error').assertDispatched(['SET_ERROR']);
+        assert.equal(results[1].error.message, 'offline');
+        assert.deepEqual(results[0].signal.executions['0.0'].attempts.map(attempt => attempt.attempt), [1, 2, 3]);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should call not mocked async actions with services', (done) => {
+    var api = {
+      fetchUser: id => Promise.resolve(`user ${id}`)
+    };
+
+    testing.runSignal(login, { args: { id: 2 }, services: { api } })
+      .then((result) => {
+        result.assertArgs({ user: 'user 2' });
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should throw assertion errors with taken paths and dispatched actions', (done) => {
+    testing.runSignal(login)
+      .then((result) => {
+        assert.throws(
+          () => result.assertPath('checkUser', 'valid'),
+          /Expected action "checkUser" to take output "valid", but it took "invalid"/
+        );
+        assert.throws(
+          () => result.assertPath([0, 'outputs', 'valid', 0, 0], 'success'),
+          /Expected action at path \[0,"outputs","valid",0,0\] to take output "success", but it was not executed/
+        );
+        assert.throws(() => result.assertNotExecuted('showError'), /Expected action "showError" not to be executed/);
+        assert.throws(() => result.assertDispatched(['SET_USER']), /Dispatched redux actions are different/);
+        assert.throws(() => result.assertArgs({ user: 'John' }), /Signal arg "user" is different/);
+        done();
+      })
+      .catch(done);
+  });
+});
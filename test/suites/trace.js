@@ -0,0 +1,189 @@
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var assert = require('assert');
+var { createStore } = require('redux');
+var appstate = require('../../src/appstate');
+var trace = require('../../src/trace');
+
+function reducer (state = {}) {
+  return state;
+}
+
+/**
+ * Test helpers
+ */
+function validate ({ output }) {
+  output.success();
+}
+
+function fetchCart ({ output }) {
+  setTimeout(() => output.success({ cart: [] }), 20);
+}
+
+function fetchUser ({ output }) {
+  setTimeout(() => output({ user: 'John' }), 10);
+}
+
+function setCart () {}
+
+/**
+ * Cases
+ */
+lab.experiment('#trace', function () {
+  var store;
+  var signal;
+
+  lab.beforeEach(function (done) {
+    store = createStore(reducer);
+    signal = appstate.create([
+      validate, {
+        success: [
+          [
+            fetchCart, {
+              success: [setCart]
+            },
+            fetchUser
+          ]
+        ]
+      }
+    ], { name: 'checkout' });
+    done();
+  });
+
+  lab.test('should save timing of every action, output branch and signal', (done) => {
+    signal(store)
+      .then((result) => {
+        var validateExecution = result.executions['0'];
+        var fetchCartExecution = result.executions['0.outputs.success.0.0'];
+
+        assert(result.duration >= 19);
+        assert.equal(result.end - result.start, result.duration);
+
+        Object.keys(result.executions).forEach((key) => {
+          var execution = result.executions[key];
+
+          assert(execution.start >= result.start);
+          assert(execution.end <= result.end);
+          assert.equal(execution.end - execution.start, execution.duration);
+        });
+
+        assert(fetchCartExecution.duration >= 19);
+        assert.equal(validateExecution.outputBranch.path, 'success');
+        assert(validateExecution.outputBranch.duration >= fetchCartExecution.duration);
+        assert(fetchCartExecution.outputBranch.start >= fetchCartExecution.end);
+        assert.equal(result.executions['0.outputs.success.0.1'].outputBranch, null);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should save timing of cancelled actions', (done) => {
+    var handle = signal.run(store);
+
+    setTimeout(() => handle.cancel(), 5);
+
+    handle.promise
+      .then((result) => {
+        var execution = result.executions['0.outputs.success.0.0'];
+
+        assert.equal(execution.isCancelled, true);
+        assert.notEqual(execution.end, null);
+        assert.notEqual(result.executions['0'].outputBranch.end, null);
+        assert.notEqual(result.end, null);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should export executed signal to Chrome trace events', (done) => {
+    signal(store)
+      .then((result) => {
+        var { traceEvents, displayTimeUnit } = trace.toChromeTrace(result);
+        var spans = traceEvents.filter(event => event.ph === 'X');
+        var find = name => spans.find(event => event.name === name);
+
+        assert.equal(displayTimeUnit, 'ms');
+        assert.deepEqual(spans.map(event => event.name).sort(), [
+          'checkout', 'fetchCart', 'fetchCart.success', 'fetchUser', 'setCart', 'validate', 'validate.success'
+        ]);
+
+        spans.forEach(event => assert.equal(event.pid, result.id));
+        assert.equal(find('checkout').cat, 'signal');
+        assert.equal(find('fetchCart').cat, 'async');
+        assert.equal(find('validate.success').cat, 'output');
+        assert.equal(find('fetchCart').ts, Math.round(result.executions['0.outputs.success.0.0'].start * 1000));
+        assert(find('fetchCart').dur >= 19000);
+        assert.deepEqual(find('fetchUser').args.path, [0, 'outputs', 'success', 0, 1]);
+
+        // Parallel async actions are on separate lanes
+        assert.notEqual(find('fetchCart').tid, find('fetchUser').tid);
+        assert.equal(find('validate').tid, find('checkout').tid);
+
+        var threads = traceEvents.filter(event => event.name === 'thread_name');
+        assert.equal(threads.length, 2);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should place lanes of parallel groups by signal tree regardless of timing', (done) => {
+    function fetchOrders ({ output }) {
+      setTimeout(() => output({ orders: [] }));
+    }
+
+    function fetchSettings ({ output }) {
+      setTimeout(() => output({ settings: {} }));
+    }
+
+    var nested = appstate.create([[fetchUser, [validate, { success: [[fetchOrders, fetchSettings]] }]], setCart]);
+
+    nested(store)
+      .then((result) => {
+        // Coarse clock gives the same timestamps to all spans
+        Object.keys(result.executions).forEach((key) => {
+          var execution = result.executions[key];
+
+          execution.start = execution.end = result.start;
+
+          if (execution.outputBranch) {
+            execution.outputBranch.start = execution.outputBranch.end = result.start;
+          }
+        });
+
+        var { traceEvents } = trace.toChromeTrace(result);
+        var tids = {};
+
+        traceEvents
+          .filter(event => event.ph === 'X')
+          .forEach((event) => {
+            tids[event.args.path ? event.args.path.join('.') : 'signal'] = event.tid;
+          });
+
+        assert.deepEqual(tids, {
+          signal: 1,
+          '0.0': 1,
+          '0.1.0': 2,
+          '0.1.0.outputs.success': 2,
+          '0.1.0.outputs.success.0.0': 2,
+          '0.1.0.outputs.success.0.1': 3,
+          1: 1
+        });
+        assert.deepEqual(traceEvents.filter(event => event.name === 'thread_name').map(event => event.tid), [1, 2, 3]);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should export several signals as separate processes', (done) => {
+    Promise.all([signal(store), signal(store)])
+      .then((results) => {
+        var { traceEvents } = trace.toChromeTrace(results);
+        var processes = traceEvents.filter(event => event.name === 'process_name');
+
+        assert.deepEqual(processes.map(event => event.pid), results.map(result => result.id));
+        assert.equal(processes[0].args.name, `Signal "checkout" #${results[0].id}`);
+        done();
+      })
+      .catch(done);
+  });
+});
@@ -0,0 +1,160 @@
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var assert = require('assert');
+var { createStore, applyMiddleware } = require('redux');
+var configureMiddleware = require('../../src/middleware');
+var appstate = require('../../src/appstate');
+var transaction = require('../../src/transaction');
+
+function reducer (state = { todos: [], isSaving: false }, action) {
+  switch (action.type) {
+    case 'ADD_TODO': {
+      return Object.assign({}, state, { todos: state.todos.concat(action.todo) });
+    }
+    case 'SET_SAVING': {
+      return Object.assign({}, state, { isSaving: action.value });
+    }
+    default:
+      return state;
+  }
+}
+
+/**
+ * Test helpers
+ */
+function noop () {}
+
+function addTodo ({ args, dispatch }) {
+  dispatch({ type: 'ADD_TODO', todo: args.todo });
+}
+
+function startSaving ({ dispatch }) {
+  dispatch({ type: 'SET_SAVING', value: true });
+}
+
+function saveTodo ({ output }) {
+  setTimeout(() => output({ id: 1 }));
+}
+
+function failSaving () {
+  throw new Error('Saving failed');
+}
+
+/**
+ * Cases
+ */
+lab.experiment('#transaction', function () {
+  var store;
+
+  lab.beforeEach(function(done) {
+    store = createStore(transaction.withRollback(reducer));
+    done();
+  });
+
+  lab.test('should restore state from signal start with single redux action seen by middlewares', (done) => {
+    var dispatched = [];
+    var logger = () => next => (action) => {
+      dispatched.push(action.type);
+      return next(action);
+    };
+    var signals = { save: { actions: [addTodo, startSaving, [saveTodo], failSaving], transaction: true } };
+
+    store = createStore(transaction.withRollback(reducer), applyMiddleware(
+      configureMiddleware({ signals, logError: noop }),
+      logger
+    ));
+
+    var initial = store.getState();
+
+    store.dispatch('save', { todo: 'Buy milk' }).promise
+      .then(() => done(new Error('Signal should fail')), (e) => {
+        assert.equal(e.message, 'Saving failed');
+        assert.equal(store.getState(), initial);
+        assert.deepEqual(dispatched, ['ADD_TODO', 'SET_SAVING', transaction.ROLLBACK]);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should record rollback of transaction block in execution tree', (done) => {
+    var signal = appstate.create([
+      addTodo,
+      appstate.transaction([startSaving, [saveTodo], failSaving])
+    ], { name: 'save' });
+
+    var handle = signal.run(store, {}, { todo: 'Buy milk' });
+
+    handle.promise
+      .then(() => done(new Error('Signal should fail')), () => {
+        var result = handle.signal;
+
+        assert.deepEqual(store.getState(), { todos: ['Buy milk'], isSaving: false });
+        assert(result.isRolledBack);
+        assert(!result.executions['0'].isRolledBack);
+        assert.equal(result.executions['1'].name, 'transaction');
+        assert(result.executions['1'].isFailed);
+        assert(result.executions['1'].isRolledBack);
+        assert(result.executions['1.actions.2'].isFailed);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should keep state of finished transaction block and cancelled signal', (done) => {
+    var signal = appstate.create([appstate.transaction([addTodo]), failSaving]);
+    var cancelled = appstate.create([addTodo, [saveTodo], failSaving], { transaction: true });
+    var handle = cancelled.run(store, {}, { todo: 'Write tests' });
+
+    handle.cancel();
+
+    Promise
+      .all([
+        handle.promise,
+        signal.run(store, {}, { todo: 'Buy milk' }).promise.then(() => null, e => e)
+      ])
+      .then((results) => {
+        assert(!results[0].isRolledBack);
+        assert.equal(results[1].message, 'Saving failed');
+        assert.deepEqual(store.getState().todos, ['Write tests', 'Buy milk']);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should keep state changed by catch branch of unchanged transaction', (done) => {
+    function showError ({ args, dispatch }) {
+      dispatch({ type: 'ADD_TODO', todo: args.error.message });
+    }
+
+    var handle = appstate.create([failSaving], { transaction: true, catch: [showError] }).run(store);
+
+    handle.promise
+      .then(() => done(new Error('Signal should fail')), (e) => {
+        assert.equal(e.message, 'Saving failed');
+        assert.deepEqual(store.getState().todos, ['Saving failed']);
+        assert(!handle.signal.isRolledBack);
+        done();
+      })
+      .catch(done);
+  });
+
+  lab.test('should warn when reducer does not restore state', (done) => {
+    var warnings = [];
+    var signal = appstate.create([addTodo, failSaving], {
+      name: 'save',
+      transaction: true,
+      logWarning: warning => warnings.push(warning)
+    });
+
+    signal.run(createStore(reducer), {}, { todo: 'Buy milk' }).promise
+      .then(() => done(new Error('Signal should fail')), () => {
+        assert.deepEqual(warnings, [{
+          message: 'State: Rollback of signal "save" did not restore state, wrap root reducer with transaction.withRollback',
+          name: null,
+          path: null
+        }]);
+        done();
+      })
+      .catch(done);
+  });
+});
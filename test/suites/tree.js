@@ -0,0 +1,32 @@
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var assert = require('assert');
+var appstate = require('../../src/appstate');
+var tree = require('../../src/tree');
+
+/**
+ * Test helpers
+ */
+function noop () {}
+
+/**
+ * Cases
+ */
+lab.experiment('#tree', function () {
+  lab.test('should get path of action, parallel group and sequence', (done) => {
+    var signal = appstate.create([noop, [noop, [noop, noop]]]);
+
+    assert.deepEqual(tree.getBranchPath(signal.branches[0]), [0]);
+    assert.deepEqual(tree.getBranchPath(signal.branches[1]), [1]);
+    assert.deepEqual(tree.getBranchPath(signal.branches[1][1]), [1, 1]);
+    done();
+  });
+
+  lab.test('should take path of group from its first lane with actions', (done) => {
+    var signal = appstate.create([[], [[], noop]]);
+
+    assert.equal(tree.getBranchPath(signal.branches[0]), null);
+    assert.deepEqual(tree.getBranchPath(signal.branches[1]), [1]);
+    done();
+  });
+});